@@ -8,7 +8,14 @@ const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const puppeteer = require('puppeteer');
 const path = require('path');
+const fs = require('fs');
 const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const sharp = require('sharp');
+const archiver = require('archiver');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -55,6 +62,9 @@ app.use(helmet({
     },
 }));
 app.use(cors());
+// Bulk download and attribution take lists of up to 200 hashed IDs, and a merged result's ID carries
+// every variant (tens of KB for heavily merged images), so those two get room for 200 IDs of 40 KB
+app.use(['/api/download', '/api/attribution'], express.json({ limit: '8mb' }));
 app.use(express.json());
 
 // Rate limiting
@@ -97,6 +107,158 @@ log.info('API Keys Status:', {
     pexels: API_KEYS.PEXELS_KEY !== 'demo_key' ? 'Configured' : 'Missing'
 });
 
+// Outbound fetch guard
+// Every fetch of a user- or scraper-supplied URL goes through agents whose DNS lookup rejects private,
+// loopback, link-local (including cloud metadata) and other non-public addresses, so a hostname that
+// resolves inward is refused at connect time. IP literals skip DNS, so they are checked up front and
+// on every redirect hop.
+const ALLOW_PRIVATE_FETCH = process.env.ALLOW_PRIVATE_FETCH === 'true'; // Local development only
+
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8],         // "This" network
+    ['10.0.0.0', 8],        // Private
+    ['100.64.0.0', 10],     // Carrier-grade NAT (also Alibaba Cloud metadata)
+    ['127.0.0.0', 8],       // Loopback
+    ['169.254.0.0', 16],    // Link-local, including 169.254.169.254 metadata
+    ['172.16.0.0', 12],     // Private (Docker bridges live in 172.17.x)
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.0.2.0', 24],      // Documentation
+    ['192.88.99.0', 24],    // 6to4 relay anycast
+    ['192.168.0.0', 16],    // Private
+    ['198.18.0.0', 15],     // Benchmarking
+    ['198.51.100.0', 24],   // Documentation
+    ['203.0.113.0', 24],    // Documentation
+    ['224.0.0.0', 4],       // Multicast
+    ['240.0.0.0', 4]        // Reserved, including broadcast
+];
+
+const BLOCKED_IPV6_RANGES = [
+    ['::', 96],             // Unspecified, loopback and IPv4-compatible
+    ['::ffff:0:0', 96],     // IPv4-mapped
+    ['64:ff9b:1::', 48],    // Local-use NAT64
+    ['100::', 64],          // Discard
+    ['2001:db8::', 32],     // Documentation
+    ['fc00::', 7],          // Unique local, including fd00:ec2::254 metadata
+    ['fe80::', 10],         // Link-local
+    ['fec0::', 10],         // Site-local (deprecated)
+    ['ff00::', 8]           // Multicast
+];
+
+// One list per family: a shared BlockList also matches IPv4 addresses against IPv6 rules such as ::/96
+const blockedIPv4 = new net.BlockList();
+const blockedIPv6 = new net.BlockList();
+BLOCKED_IPV4_RANGES.forEach(([network, prefix]) => blockedIPv4.addSubnet(network, prefix, 'ipv4'));
+BLOCKED_IPV6_RANGES.forEach(([network, prefix]) => blockedIPv6.addSubnet(network, prefix, 'ipv6'));
+
+// Function to expand an IPv6 address into its eight 16-bit groups
+const parseIPv6Groups = (address) => {
+    const toGroups = (part) => (part ? part.split(':') : []).flatMap(group => {
+        if (!group.includes('.')) return [parseInt(group, 16)];
+        const [a, b, c, d] = group.split('.').map(Number);
+        return [(a << 8) | b, (c << 8) | d];
+    });
+
+    const [head, tail] = address.split('%')[0].split('::');
+    const headGroups = toGroups(head);
+    const tailGroups = tail === undefined ? [] : toGroups(tail);
+    return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+};
+
+// Function to pull out the IPv4 address that NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses route to
+const getEmbeddedIPv4 = (address) => {
+    const groups = parseIPv6Groups(address);
+    const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+        return toIPv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) {
+        return toIPv4(groups[1], groups[2]);
+    }
+    return null;
+};
+
+const isBlockedAddress = (address) => {
+    if (ALLOW_PRIVATE_FETCH) return false;
+
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    if (family === 4) return blockedIPv4.check(address, 'ipv4');
+
+    const embedded = getEmbeddedIPv4(address);
+    return blockedIPv6.check(address, 'ipv6') || (embedded !== null && blockedIPv4.check(embedded, 'ipv4'));
+};
+
+const createBlockedUrlError = (hostname, address) => {
+    const error = new Error(`Refusing to fetch ${hostname}${address && address !== hostname ? ` (${address})` : ''}: not a public address`);
+    error.code = 'ERR_BLOCKED_URL';
+    return error;
+};
+
+// Redirect failures wrap the guard's error in `cause`
+const isBlockedUrlError = (error) => error?.code === 'ERR_BLOCKED_URL' || error?.cause?.code === 'ERR_BLOCKED_URL';
+
+// Function to check a hostname without DNS: IP literals (as normalized by the URL parser, so decimal,
+// octal and hex forms are covered) and localhost names
+const assertPublicHostname = (hostname) => {
+    const host = String(hostname || '').replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (!host || (!ALLOW_PRIVATE_FETCH && (host === 'localhost' || host.endsWith('.localhost')))) {
+        throw createBlockedUrlError(host);
+    }
+
+    if (net.isIP(host) && isBlockedAddress(host)) {
+        throw createBlockedUrlError(host, host);
+    }
+};
+
+// Function to check a URL before fetching it; throws an error with code ERR_BLOCKED_URL
+const assertPublicUrl = (url) => {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        throw createBlockedUrlError(String(url).substring(0, 100));
+    }
+
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+        throw createBlockedUrlError(parsedUrl.protocol);
+    }
+
+    assertPublicHostname(parsedUrl.hostname);
+};
+
+// DNS lookup for the guarded agents; refuses the connection if any resolved address is not public
+const guardedLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            return callback(createBlockedUrlError(hostname, blocked.address));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const guardedHttpAgent = new http.Agent({ keepAlive: true, maxSockets: 10, lookup: guardedLookup });
+const guardedHttpsAgent = new https.Agent({
+    keepAlive: true,
+    maxSockets: 10,
+    rejectUnauthorized: false, // Handle self-signed certificates
+    lookup: guardedLookup
+});
+
+// Axios options for fetching an untrusted URL. Proxies are bypassed so the guard sees the real target
+const guardedRequestOptions = {
+    httpAgent: guardedHttpAgent,
+    httpsAgent: guardedHttpsAgent,
+    proxy: false,
+    beforeRedirect: (options) => assertPublicHostname(options.hostname)
+};
+
 // Enhanced URL validation and cleanup
 const validateAndCleanUrl = (url) => {
     if (!url || typeof url !== 'string') {
@@ -109,27 +271,8 @@ const validateAndCleanUrl = (url) => {
             return null;
         }
 
-        // Parse URL to validate structure
-        const parsedUrl = new URL(url);
-
-        // Block potentially problematic domains/patterns
-        const blockedPatterns = [
-            'localhost',
-            '127.0.0.1',
-            '0.0.0.0',
-            '10.',
-            '192.168.',
-            '172.16.',
-            'data:',
-            'javascript:',
-            'file:'
-        ];
-
-        for (const pattern of blockedPatterns) {
-            if (parsedUrl.hostname.includes(pattern) || url.toLowerCase().startsWith(pattern)) {
-                return null;
-            }
-        }
+        // Parse URL and reject private or loopback IP literals; hostnames are checked again when fetched
+        assertPublicUrl(url);
 
         return url;
     } catch (error) {
@@ -168,7 +311,21 @@ const estimateFileSize = (width, height) => {
     return formatFileSize(bytes);
 };
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Sleep that rejects early when the optional AbortSignal fires
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
 
 // Enhanced user agent rotation
 const getRandomUserAgent = () => {
@@ -183,302 +340,1440 @@ const getRandomUserAgent = () => {
     return userAgents[Math.floor(Math.random() * userAgents.length)];
 };
 
-// Simple encryption/decryption for image IDs using AES-256-CBC
-const ENCRYPTION_KEY = process.env.IMAGE_ENCRYPTION_KEY || 'default-key-change-in-production-12345678901234567890';
+// Image IDs: AES-256-GCM encrypted image data, as `{keyId}.{expiry}.{iv + ciphertext + tag}`
+// The key ID and expiry (unix seconds in base 36, empty for none) are authenticated along with the data,
+// so IDs can't be altered or re-dated. IMAGE_ENCRYPTION_PREVIOUS_KEYS keeps IDs issued under rotated-out
+// keys readable, as `keyId:secret` or `keyId:secret:acceptedUntil` (an ISO date ending the grace period).
+const DEFAULT_ENCRYPTION_KEY = 'default-key-change-in-production-12345678901234567890';
+const ENCRYPTION_KEY = process.env.IMAGE_ENCRYPTION_KEY || DEFAULT_ENCRYPTION_KEY;
+const ENCRYPTION_KEY_ID = process.env.IMAGE_ENCRYPTION_KEY_ID || 'k1';
+const IMAGE_ID_TTL_MS = parseInt(process.env.IMAGE_ID_TTL_MS) || 0;
+const IMAGE_ID_KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,16}$/;
+const IMAGE_ID_IV_BYTES = 12;
+const IMAGE_ID_TAG_BYTES = 16;
+
+if (process.env.NODE_ENV === 'production' && ENCRYPTION_KEY === DEFAULT_ENCRYPTION_KEY) {
+    log.error('IMAGE_ENCRYPTION_KEY must be set to a secret value in production; refusing to start');
+    process.exit(1);
+}
+
+const deriveImageIdKey = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+const imageIdKeys = (() => {
+    const keys = new Map();
+
+    (process.env.IMAGE_ENCRYPTION_PREVIOUS_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [keyId, secret, until] = entry.split(':');
+        const acceptedUntil = until ? Date.parse(until) : Infinity;
+
+        if (!IMAGE_ID_KEY_ID_PATTERN.test(keyId) || !secret || Number.isNaN(acceptedUntil)) {
+            log.warn('Ignoring malformed IMAGE_ENCRYPTION_PREVIOUS_KEYS entry:', { keyId });
+            return;
+        }
+
+        keys.set(keyId, { key: deriveImageIdKey(secret), acceptedUntil });
+    });
+
+    if (!IMAGE_ID_KEY_ID_PATTERN.test(ENCRYPTION_KEY_ID)) {
+        log.error('IMAGE_ENCRYPTION_KEY_ID must be 1-16 letters, digits, "_" or "-"; refusing to start');
+        process.exit(1);
+    }
+
+    keys.set(ENCRYPTION_KEY_ID, { key: deriveImageIdKey(ENCRYPTION_KEY), acceptedUntil: Infinity });
+    return keys;
+})();
+
+const createImageIdError = (code, message) => Object.assign(new Error(message), { code });
 
 function encryptImageData(imageData) {
     try {
-        // Create a 32-byte key from the encryption key
-        const key = crypto.createHash('sha256').update(ENCRYPTION_KEY).digest();
-        const iv = crypto.randomBytes(16);
-
-        const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+        const { key } = imageIdKeys.get(ENCRYPTION_KEY_ID);
+        const expires = IMAGE_ID_TTL_MS ? Math.ceil((Date.now() + IMAGE_ID_TTL_MS) / 1000).toString(36) : '';
+        const header = `${ENCRYPTION_KEY_ID}.${expires}`;
+        const iv = crypto.randomBytes(IMAGE_ID_IV_BYTES);
 
-        let encrypted = cipher.update(JSON.stringify(imageData), 'utf8', 'hex');
-        encrypted += cipher.final('hex');
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(Buffer.from(header));
 
-        // Combine iv and encrypted data
-        const combined = iv.toString('hex') + ':' + encrypted;
-        const hashedId = Buffer.from(combined).toString('base64url');
+        const encrypted = Buffer.concat([cipher.update(JSON.stringify(imageData), 'utf8'), cipher.final()]);
+        const payload = Buffer.concat([iv, encrypted, cipher.getAuthTag()]);
 
-        return hashedId;
+        return `${header}.${payload.toString('base64url')}`;
     } catch (error) {
         log.error('Encryption error:', error);
         return null;
     }
 }
 
-function decryptImageId(hashedId) {
-    try {
-        // Create a 32-byte key from the encryption key
-        const key = crypto.createHash('sha256').update(ENCRYPTION_KEY).digest();
+// Legacy AES-256-CBC IDs (base64url of `ivHex:cipherHex`, no key ID) are unauthenticated. They are never
+// issued, only read until IMAGE_LEGACY_IDS_UNTIL (an ISO date), so links shared before GCM IDs keep working.
+const LEGACY_IMAGE_IDS_UNTIL = process.env.IMAGE_LEGACY_IDS_UNTIL ? Date.parse(process.env.IMAGE_LEGACY_IDS_UNTIL) : null;
+const LEGACY_IMAGE_ID_KEY = deriveImageIdKey(process.env.IMAGE_LEGACY_ENCRYPTION_KEY || ENCRYPTION_KEY);
 
-        const combined = Buffer.from(hashedId, 'base64url').toString('utf8');
+if (Number.isNaN(LEGACY_IMAGE_IDS_UNTIL)) {
+    log.warn('Ignoring malformed IMAGE_LEGACY_IDS_UNTIL; legacy image IDs are not accepted');
+}
+
+const openLegacyImageId = (hashedId) => {
+    const combined = Buffer.from(hashedId, 'base64url').toString('utf8');
+    if (!/^[0-9a-f]{32}:[0-9a-f]+$/.test(combined)) {
+        throw createImageIdError('ERR_IMAGE_ID_TAMPERED', 'Malformed image ID');
+    }
+
+    if (!(LEGACY_IMAGE_IDS_UNTIL >= Date.now())) {
+        throw createImageIdError('ERR_IMAGE_ID_UNKNOWN_KEY', 'Legacy image IDs are no longer accepted');
+    }
+
+    try {
         const [ivHex, encrypted] = combined.split(':');
+        const decipher = crypto.createDecipheriv('aes-256-cbc', LEGACY_IMAGE_ID_KEY, Buffer.from(ivHex, 'hex'));
+        return JSON.parse(decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8'));
+    } catch (error) {
+        throw createImageIdError('ERR_IMAGE_ID_TAMPERED', 'Legacy image ID could not be decrypted');
+    }
+};
 
-        if (!ivHex || !encrypted) {
-            throw new Error('Invalid hash format');
-        }
+// Function to decrypt an image ID; throws with code ERR_IMAGE_ID_TAMPERED, ERR_IMAGE_ID_UNKNOWN_KEY or ERR_IMAGE_ID_EXPIRED
+const openImageId = (hashedId) => {
+    const parts = typeof hashedId === 'string' ? hashedId.split('.') : [];
+    if (parts.length === 1 && parts[0]) {
+        return openLegacyImageId(hashedId);
+    }
+    if (parts.length !== 3) {
+        throw createImageIdError('ERR_IMAGE_ID_TAMPERED', 'Malformed image ID');
+    }
+
+    const [keyId, expires, encoded] = parts;
+    const entry = imageIdKeys.get(keyId);
+    if (!entry || entry.acceptedUntil < Date.now()) {
+        throw createImageIdError('ERR_IMAGE_ID_UNKNOWN_KEY', `Image ID key "${keyId}" is not accepted`);
+    }
+
+    const payload = Buffer.from(encoded, 'base64url');
+    if (payload.length <= IMAGE_ID_IV_BYTES + IMAGE_ID_TAG_BYTES) {
+        throw createImageIdError('ERR_IMAGE_ID_TAMPERED', 'Truncated image ID');
+    }
 
-        const iv = Buffer.from(ivHex, 'hex');
+    let decrypted;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, payload.subarray(0, IMAGE_ID_IV_BYTES));
+        decipher.setAAD(Buffer.from(`${keyId}.${expires}`));
+        decipher.setAuthTag(payload.subarray(payload.length - IMAGE_ID_TAG_BYTES));
+        decrypted = Buffer.concat([
+            decipher.update(payload.subarray(IMAGE_ID_IV_BYTES, payload.length - IMAGE_ID_TAG_BYTES)),
+            decipher.final()
+        ]);
+    } catch (error) {
+        throw createImageIdError('ERR_IMAGE_ID_TAMPERED', 'Image ID failed authentication');
+    }
 
-        const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+    // The expiry is only trusted once authenticated, so a tampered ID never reports as expired
+    if (expires && parseInt(expires, 36) * 1000 < Date.now()) {
+        throw createImageIdError('ERR_IMAGE_ID_EXPIRED', 'Image ID has expired');
+    }
 
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
+    return JSON.parse(decrypted.toString('utf8'));
+};
 
-        return JSON.parse(decrypted);
+function decryptImageId(hashedId) {
+    try {
+        return openImageId(hashedId);
     } catch (error) {
-        log.error('Decryption error:', error);
+        log.debug('Image ID rejected:', { code: error.code, message: error.message });
         return null;
     }
 }
 
-// Image proxy endpoint
-app.get('/api/proxy-image', async (req, res) => {
-    const MAX_RETRIES = 3;
-    const TIMEOUT_MS = 20000;
-
-    try {
-        const { url } = req.query;
+// Signed proxy and download links
+// Links to /api/proxy-image and /api/download carry `exp` (unix seconds) and `sig`, an HMAC of the link
+// kind, expiry and target URL, so the endpoints only fetch URLs this server handed out. ALLOW_UNSIGNED_URLS
+// also accepts raw `?url=` links for local development and is ignored in production.
+const URL_SIGNING_KEY = crypto.createHash('sha256')
+    .update(`url-signing:${process.env.URL_SIGNING_KEY || ENCRYPTION_KEY}`)
+    .digest();
+const SIGNED_URL_TTL_MS = parseInt(process.env.SIGNED_URL_TTL_MS) || 24 * 60 * 60 * 1000;
+// Expiries are rounded up to the hour so repeated searches produce identical, browser-cacheable links
+const SIGNED_URL_EXPIRY_STEP_MS = 60 * 60 * 1000;
+const ALLOW_UNSIGNED_URLS = process.env.ALLOW_UNSIGNED_URLS === 'true' && process.env.NODE_ENV !== 'production';
+
+if (process.env.ALLOW_UNSIGNED_URLS === 'true' && !ALLOW_UNSIGNED_URLS) {
+    log.warn('ALLOW_UNSIGNED_URLS is ignored in production');
+}
 
-        if (!url) {
-            return res.status(400).json({ error: 'URL parameter is required' });
-        }
+const computeUrlSignature = (kind, url, expires) => crypto
+    .createHmac('sha256', URL_SIGNING_KEY)
+    .update(`${kind}\n${expires}\n${url}`)
+    .digest('base64url');
 
-        if (!url.match(/^https?:\/\/.+/)) {
-            log.warn('Invalid URL format:', url);
-            return sendPlaceholderImage(res, 'Invalid URL format');
-        }
+const signUrlParams = (kind, url) => {
+    const expires = Math.ceil((Date.now() + SIGNED_URL_TTL_MS) / SIGNED_URL_EXPIRY_STEP_MS) * SIGNED_URL_EXPIRY_STEP_MS / 1000;
+    return new URLSearchParams({ url, exp: String(expires), sig: computeUrlSignature(kind, url, expires) }).toString();
+};
 
-        log.debug('Proxying image:', { url });
+const buildProxyUrl = (url) => `/api/proxy-image?${signUrlParams('proxy', url)}`;
+const buildDownloadPath = (id, url) => `/api/download/${encodeURIComponent(id)}?${signUrlParams('download', url)}`;
 
-        // Retry logic with exponential backoff
-        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-            try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+// Function to check the `url`, `exp` and `sig` of a request; returns null when it may proceed, otherwise why not
+const checkUrlSignature = (kind, { url, exp, sig }) => {
+    if (ALLOW_UNSIGNED_URLS) return null;
+    if (!exp || !sig) return 'Unsigned link';
 
-                const axiosInstance = createAxiosWithSSLFallback(url);
-                const response = await axiosInstance.get(url, {
-                    responseType: 'stream',
-                    headers: {
-                        'User-Agent': getRandomUserAgent(),
-                        'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
-                        'Accept-Language': 'en-US,en;q=0.9',
-                        'Cache-Control': 'no-cache',
-                        'Pragma': 'no-cache',
-                        'Referer': 'https://www.google.com/',
-                        'Connection': 'keep-alive'
-                    },
-                    timeout: TIMEOUT_MS,
-                    maxRedirects: 3,
-                    validateStatus: (status) => status < 400,
-                    signal: controller.signal,
-                    httpsAgent: new (require('https').Agent)({
-                        rejectUnauthorized: false // Handle SSL certificate issues
-                    })
-                });
+    const expires = Number(exp);
+    if (!Number.isInteger(expires) || typeof sig !== 'string') return 'Invalid link signature';
 
-                clearTimeout(timeoutId);
+    const expected = Buffer.from(computeUrlSignature(kind, url, expires));
+    const actual = Buffer.from(sig);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return 'Invalid link signature';
+    }
 
-                // Validate content type
-                const contentType = response.headers['content-type'];
-                if (!contentType || !contentType.startsWith('image/')) {
-                    log.warn('Invalid content type:', { url, contentType });
-                    if (attempt === MAX_RETRIES) {
-                        return sendPlaceholderImage(res, 'Invalid content type');
-                    }
-                    continue;
-                }
+    if (expires * 1000 < Date.now()) return 'Link has expired';
+    return null;
+};
 
-                // Set response headers
-                res.setHeader('Content-Type', contentType);
-                res.setHeader('Cache-Control', 'public, max-age=3600');
-                res.setHeader('Access-Control-Allow-Origin', '*');
+// Function to re-sign a raw `/api/proxy-image?url=` link as built by the sources; other URLs are left alone
+const signProxyLink = (url) => {
+    if (typeof url !== 'string' || !url.startsWith('/api/proxy-image?')) return url;
 
-                // Handle stream errors
-                response.data.on('error', (streamError) => {
-                    log.error('Stream error:', streamError);
-                    if (!res.headersSent) {
-                        sendPlaceholderImage(res, 'Stream error');
-                    }
-                });
+    const target = new URLSearchParams(url.slice(url.indexOf('?') + 1)).get('url');
+    return target ? buildProxyUrl(target) : url;
+};
 
-                response.data.pipe(res);
-                return; // Success, exit retry loop
+// Function to sign the thumbnail link of results and their variants and give each a signed `downloadPath`
+const signResultUrls = (results) => {
+    const signLinks = (image, id) => {
+        image.url = signProxyLink(image.url);
+        if (image.downloadUrl) {
+            image.downloadPath = buildDownloadPath(id, image.downloadUrl);
+        }
+    };
 
-            } catch (axiosError) {
-                log.warn(`Attempt ${attempt} failed:`, {
-                    url: url.substring(0, 100),
-                    error: axiosError.message,
-                    status: axiosError.response?.status,
-                    code: axiosError.code
-                });
+    results.forEach(result => {
+        signLinks(result, result.id);
+        result.variants?.forEach(variant => signLinks(variant, result.id));
+    });
 
-                // Don't retry on certain errors
-                if (axiosError.response?.status === 404 ||
-                    axiosError.response?.status === 403 ||
-                    axiosError.code === 'ERR_INVALID_URL') {
-                    break;
-                }
+    return results;
+};
 
-                // Handle SSL certificate errors - try once more with relaxed SSL
-                if (axiosError.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE' ||
-                    axiosError.code === 'CERT_UNTRUSTED' ||
-                    axiosError.code === 'SELF_SIGNED_CERT_IN_CHAIN') {
-                    log.warn(`SSL certificate error, will retry with relaxed verification: ${axiosError.code}`);
-                }
+// Image proxy resizing
+// `w`, `h`, `fit` and `format` resize and re-encode the upstream image with sharp. Without an explicit
+// format the output is negotiated from the browser's Accept header. Transformed images are kept in an
+// in-memory LRU bounded by PROXY_CACHE_MAX_BYTES.
+const PROXY_MAX_DIMENSION = parseInt(process.env.PROXY_MAX_DIMENSION) || 2000;
+const PROXY_MAX_SOURCE_BYTES = parseInt(process.env.PROXY_MAX_SOURCE_BYTES) || 25 * 1024 * 1024;
+const PROXY_CACHE_MAX_BYTES = parseInt(process.env.PROXY_CACHE_MAX_BYTES) || 64 * 1024 * 1024;
+// Formats tried, in order, when the browser accepts them; WebP first as it encodes much faster than AVIF
+const PROXY_AUTO_FORMATS = (process.env.PROXY_AUTO_FORMATS || 'webp,avif')
+    .split(',')
+    .map(format => format.trim())
+    .filter(format => ['webp', 'avif'].includes(format));
+
+const PROXY_FIT_OPTIONS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const PROXY_FORMATS = ['auto', 'webp', 'avif', 'jpeg', 'png'];
+const PROXY_QUALITY = { webp: 80, avif: 50, jpeg: 82 };
+
+// Function to read a proxy request's resize parameters.
+// Returns { transform } (null when the image should pass through untouched) or { error }
+const parseProxyTransform = ({ w, h, fit, format }, accept = '') => {
+    if (w === undefined && h === undefined && fit === undefined && format === undefined) {
+        return { transform: null };
+    }
 
-                // Wait before retry (exponential backoff)
-                if (attempt < MAX_RETRIES) {
-                    const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-            }
+    const dimensions = {};
+    for (const [name, value] of [['w', w], ['h', h]]) {
+        if (value === undefined) continue;
+        const pixels = Number(value);
+        if (!Number.isInteger(pixels) || pixels < 1 || pixels > PROXY_MAX_DIMENSION) {
+            return { error: `${name} must be a whole number of pixels between 1 and ${PROXY_MAX_DIMENSION}` };
         }
+        dimensions[name] = pixels;
+    }
 
-        // All retries failed
-        log.error('All retry attempts failed for image proxy:', url.substring(0, 100));
-        sendPlaceholderImage(res, 'Image not available');
+    if (fit !== undefined && !PROXY_FIT_OPTIONS.includes(fit)) {
+        return { error: `fit must be one of: ${PROXY_FIT_OPTIONS.join(', ')}` };
+    }
 
-    } catch (error) {
-        log.error('Image proxy error:', error);
-        sendPlaceholderImage(res, 'Proxy error');
+    if (format !== undefined && !PROXY_FORMATS.includes(format)) {
+        return { error: `format must be one of: ${PROXY_FORMATS.join(', ')}` };
     }
-});
 
-// Helper function to send placeholder image
-function sendPlaceholderImage(res, message = 'Image not available') {
-    if (res.headersSent) return;
+    const negotiated = !format || format === 'auto';
 
-    const placeholderSvg = `
-        <svg width="320" height="220" viewBox="0 0 320 220" fill="none" xmlns="http://www.w3.org/2000/svg">
-            <rect width="320" height="220" fill="#F3F4F6" stroke="#E5E7EB" stroke-width="2"/>
-            <circle cx="160" cy="85" r="20" fill="#9CA3AF"/>
-            <path d="M130 130L160 100L190 130H130Z" fill="#9CA3AF"/>
-            <text x="160" y="160" text-anchor="middle" fill="#6B7280" font-family="Arial" font-size="12">${message}</text>
-            <text x="160" y="180" text-anchor="middle" fill="#9CA3AF" font-family="Arial" font-size="10">Placeholder Image</text>
-        </svg>
-    `;
+    return {
+        transform: {
+            width: dimensions.w,
+            height: dimensions.h,
+            fit: fit || 'inside',
+            // null leaves the choice to transformImage: PNG for images with transparency, JPEG otherwise
+            format: negotiated ? PROXY_AUTO_FORMATS.find(candidate => accept.includes(`image/${candidate}`)) || null : format,
+            negotiated
+        }
+    };
+};
 
-    res.setHeader('Content-Type', 'image/svg+xml');
-    res.setHeader('Cache-Control', 'public, max-age=300');
-    res.send(placeholderSvg);
-}
+// Function to resize and re-encode an image; never enlarges it
+const transformImage = async (buffer, transform) => {
+    const image = sharp(buffer, { failOn: 'none' }).rotate();
+    const format = transform.format || ((await image.metadata()).hasAlpha ? 'png' : 'jpeg');
+
+    if (transform.width || transform.height) {
+        image.resize({
+            width: transform.width,
+            height: transform.height,
+            fit: transform.fit,
+            withoutEnlargement: true
+        });
+    }
 
-// Wikimedia Commons API
-const searchWikimedia = async (query, limit = 50) => {
-    try {
-        log.info(`Searching Wikimedia Commons for: ${query} (limit: ${limit})`);
+    const data = await image.toFormat(format, PROXY_QUALITY[format] ? { quality: PROXY_QUALITY[format] } : {}).toBuffer();
+    return { data, contentType: `image/${format}`, etag: crypto.createHash('sha256').update(data).digest('hex') };
+};
 
-        const response = await axios.get('https://commons.wikimedia.org/w/api.php', {
-            params: {
-                action: 'query',
-                format: 'json',
-                generator: 'search',
-                gsrnamespace: 6,
-                gsrsearch: query,
-                gsrlimit: limit,
-                prop: 'imageinfo',
-                iiprop: 'url|size|mime',
-                iiurlwidth: 300
-            },
-            headers: {
-                'User-Agent': 'ImageSearchApp/1.0'
-            },
-            timeout: 10000
-        });
+// Transformed proxy images, keyed by the source image's content hash and the transform
+const proxyImageCache = {
+    entries: new Map(),
+    bytes: 0,
+    hits: 0,
+    misses: 0,
 
-        if (!response.data.query || !response.data.query.pages) {
-            log.warn('Wikimedia returned no results', { query });
-            return [];
+    key(hash, transform) {
+        return [hash, transform.width || '', transform.height || '', transform.fit, transform.format || 'default'].join('|');
+    },
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.misses++;
+            return null;
         }
 
-        const results = Object.values(response.data.query.pages)
-            .filter(page => page.imageinfo && page.imageinfo[0])
-            .map((page, index) => {
-                const img = page.imageinfo[0];
-                return {
-                    id: `wikimedia_${page.pageid}`,
-                    title: page.title.replace('File:', ''),
-                    url: `/api/proxy-image?url=${encodeURIComponent(img.thumburl || img.url)}`,
-                    downloadUrl: img.url,
-                    sourcePageUrl: `https://commons.wikimedia.org/wiki/${encodeURIComponent(page.title)}`, // Wikimedia page
-                    source: 'Wikimedia Commons',
-                    width: img.width || 800,
-                    height: img.height || 600,
-                    size: img.size ? formatFileSize(img.size) : estimateFileSize(img.width || 800, img.height || 600),
-                    copyright: {
-                        status: 'free',
-                        license: 'Creative Commons / Public Domain',
-                        description: 'Free to use, modify, and distribute.',
-                        canUseCommercially: true,
-                        requiresAttribution: true
-                    },
-                    photographer: 'Wikimedia Contributors',
-                    tags: [query]
-                };
-            });
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry;
+    },
 
-        log.info(`Wikimedia search completed: ${results.length} results`);
-        return results;
-    } catch (error) {
-        log.error('Wikimedia search error:', error);
-        return [];
-    }
-};
+    set(key, entry) {
+        // Don't let one huge image flush everything else
+        if (entry.data.length > PROXY_CACHE_MAX_BYTES / 4) return;
 
-// Utility function to handle delays across different Puppeteer versions
-const waitForTimeout = async (page, ms) => {
-    try {
-        // Try new method first (Puppeteer v13+)
-        if (typeof page.waitForTimeout === 'function') {
-            await page.waitForTimeout(ms);
-        } else if (typeof page.waitFor === 'function') {
-            // Fallback for older versions (Puppeteer v1-12)
-            await page.waitFor(ms);
-        } else {
-            // Manual timeout using Promise
-            await new Promise(resolve => setTimeout(resolve, ms));
+        this.delete(key);
+        this.entries.set(key, entry);
+        this.bytes += entry.data.length;
+
+        // Evict least recently used entries
+        while (this.bytes > PROXY_CACHE_MAX_BYTES) {
+            this.delete(this.entries.keys().next().value);
         }
-    } catch (error) {
-        // Fallback to manual timeout
-        await new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.bytes -= entry.data.length;
+            this.entries.delete(key);
+        }
+    },
+
+    stats() {
+        return {
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: PROXY_CACHE_MAX_BYTES,
+            hits: this.hits,
+            misses: this.misses
+        };
     }
 };
 
-// Fixed Google Images scraper with improved image URL extraction
-const searchGoogleImages = async (query, limit = 80) => {
-    let browser;
-    try {
-        log.info(`🔍 Starting Google Images search: "${query}" (limit: ${limit})`);
-        const images = [];
+// Sends a proxied image with a strong ETag (its content hash), or a 304 when the browser already has it
+const sendProxiedImage = (req, res, { data, contentType, etag }, transform, cacheStatus) => {
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('ETag', `"${etag}"`);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('X-Proxy-Cache', cacheStatus);
+    if (transform.negotiated) {
+        res.setHeader('Vary', 'Accept');
+    }
 
-        browser = await puppeteer.launch({
-            headless: 'new',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-blink-features=AutomationControlled',
-                '--disable-web-security',
-                '--no-first-run',
-                '--window-size=1920,1080'
-            ]
-        });
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    res.send(data);
+};
 
-        const page = await browser.newPage();
-        await page.setViewport({ width: 1920, height: 1080 });
+// Proxied image disk cache
+// Upstream bytes are stored once per content hash under PROXY_CACHE_DIR/blobs, with an index mapping each
+// URL to its hash and the upstream ETag/Last-Modified. Stale entries are revalidated with a conditional
+// request, and the least recently used are evicted once the blobs pass PROXY_DISK_CACHE_MAX_BYTES.
+const PROXY_CACHE_DIR = process.env.PROXY_CACHE_DIR || null;
+const PROXY_DISK_CACHE_MAX_BYTES = parseInt(process.env.PROXY_DISK_CACHE_MAX_BYTES) || 512 * 1024 * 1024;
+const PROXY_CACHE_FRESH_MS = parseInt(process.env.PROXY_CACHE_FRESH_MS) || 60 * 60 * 1000;
+
+const proxySourceCache = {
+    entries: new Map(),     // url -> { hash, size, contentType, etag, lastModified, freshUntil }, least recently used first
+    blobs: new Map(),       // hash -> { size, refs }
+    bytes: 0,
+    hits: 0,
+    revalidated: 0,
+    misses: 0,
+    loading: null,
+    saveTimer: null,
+
+    blobPath(hash) {
+        return path.join(PROXY_CACHE_DIR, 'blobs', hash.slice(0, 2), hash);
+    },
 
-        // Basic stealth
-        await page.evaluateOnNewDocument(() => {
+    indexPath() {
+        return path.join(PROXY_CACHE_DIR, 'index.json');
+    },
+
+    // Reads the index once, then deletes blobs it doesn't reference (e.g. written just before a crash)
+    load() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                try {
+                    const index = JSON.parse(await fs.promises.readFile(this.indexPath(), 'utf8'));
+                    index.forEach(([url, entry]) => this.remember(url, entry));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') log.warn('Failed to read proxy cache index:', error.message);
+                }
+
+                try {
+                    const files = await fs.promises.readdir(path.join(PROXY_CACHE_DIR, 'blobs'), { recursive: true });
+                    const orphans = files.filter(file => path.basename(file).length > 2 && !this.blobs.has(path.basename(file)));
+                    await Promise.all(orphans.map(file => fs.promises.rm(path.join(PROXY_CACHE_DIR, 'blobs', file), { force: true })));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') log.warn('Failed to clean proxy cache:', error.message);
+                }
+
+                log.info(`Proxy cache: ${this.entries.size} images, ${this.bytes} bytes in ${PROXY_CACHE_DIR}`);
+            })();
+        }
+        return this.loading;
+    },
+
+    remember(url, entry) {
+        this.entries.set(url, entry);
+
+        const blob = this.blobs.get(entry.hash);
+        if (blob) {
+            blob.refs++;
+        } else {
+            this.blobs.set(entry.hash, { size: entry.size, refs: 1 });
+            this.bytes += entry.size;
+        }
+    },
+
+    // Drops a URL from the index; returns its blob's hash when no other URL shares it
+    forget(url) {
+        const entry = this.entries.get(url);
+        if (!entry) return null;
+        this.entries.delete(url);
+
+        const blob = this.blobs.get(entry.hash);
+        if (--blob.refs > 0) return null;
+
+        this.blobs.delete(entry.hash);
+        this.bytes -= blob.size;
+        return entry.hash;
+    },
+
+    async removeBlob(hash) {
+        if (hash) {
+            await fs.promises.rm(this.blobPath(hash), { force: true }).catch(() => {});
+        }
+    },
+
+    async get(url) {
+        if (!PROXY_CACHE_DIR) return null;
+        await this.load();
+
+        const entry = this.entries.get(url);
+        if (!entry) return null;
+
+        try {
+            const data = await fs.promises.readFile(this.blobPath(entry.hash));
+
+            // Most recently used entries move to the end
+            this.entries.delete(url);
+            this.entries.set(url, entry);
+            return { entry, data };
+        } catch (error) {
+            log.warn('Proxy cache blob missing:', { url: url.substring(0, 100), error: error.message });
+            this.forget(url);
+            this.scheduleSave();
+            return null;
+        }
+    },
+
+    async put(url, hash, data, details) {
+        if (!PROXY_CACHE_DIR) return;
+        await this.load();
+
+        try {
+            if (!this.blobs.has(hash)) {
+                // Written under a temporary name so a partial file is never served
+                const blobPath = this.blobPath(hash);
+                const tempPath = `${blobPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+                await fs.promises.mkdir(path.dirname(blobPath), { recursive: true });
+                await fs.promises.writeFile(tempPath, data);
+                await fs.promises.rename(tempPath, blobPath);
+            }
+
+            const orphan = this.forget(url);
+            this.remember(url, { hash, size: data.length, ...details });
+            if (orphan && orphan !== hash) await this.removeBlob(orphan);
+
+            // Evict least recently used entries
+            while (this.bytes > PROXY_DISK_CACHE_MAX_BYTES && this.entries.size > 1) {
+                await this.removeBlob(this.forget(this.entries.keys().next().value));
+            }
+
+            this.scheduleSave();
+        } catch (error) {
+            log.warn('Failed to cache proxied image:', { url: url.substring(0, 100), error: error.message });
+        }
+    },
+
+    // The upstream answered 304: keep the bytes, take the new validators and freshness
+    refresh(entry, details) {
+        entry.freshUntil = details.freshUntil;
+        if (details.etag) entry.etag = details.etag;
+        if (details.lastModified) entry.lastModified = details.lastModified;
+        this.scheduleSave();
+    },
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 1000);
+        this.saveTimer.unref();
+    },
+
+    async save() {
+        if (!PROXY_CACHE_DIR || !this.loading) return;
+
+        try {
+            const tempPath = `${this.indexPath()}.tmp`;
+            await fs.promises.mkdir(PROXY_CACHE_DIR, { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify([...this.entries]));
+            await fs.promises.rename(tempPath, this.indexPath());
+        } catch (error) {
+            log.warn('Failed to save proxy cache index:', error.message);
+        }
+    },
+
+    stats() {
+        return {
+            persistent: !!PROXY_CACHE_DIR,
+            entries: this.entries.size,
+            blobs: this.blobs.size,
+            bytes: this.bytes,
+            maxBytes: PROXY_DISK_CACHE_MAX_BYTES,
+            hits: this.hits,
+            revalidated: this.revalidated,
+            misses: this.misses
+        };
+    }
+};
+
+// Function to read how long an upstream response may be reused from its Cache-Control header
+const getUpstreamCacheDetails = (headers) => {
+    const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+    const maxAge = cacheControl.match(/max-age=(\d+)/)?.[1];
+    let freshMs = PROXY_CACHE_FRESH_MS;
+
+    if (cacheControl.includes('no-cache')) {
+        freshMs = 0;
+    } else if (maxAge !== undefined) {
+        freshMs = parseInt(maxAge) * 1000;
+    }
+
+    return {
+        storable: !/no-store|private/.test(cacheControl),
+        freshUntil: Date.now() + freshMs,
+        etag: headers.etag || null,
+        lastModified: headers['last-modified'] || null
+    };
+};
+
+// Function to fetch an upstream image with retries. Passing a cache entry makes the request
+// conditional. Resolves with { notModified, headers }, { data, contentType, headers } or { error }
+const fetchProxySource = async (url, cached = null) => {
+    const MAX_RETRIES = 3;
+    const TIMEOUT_MS = 20000;
+
+    // Retry logic with exponential backoff
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        try {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+            const axiosInstance = createAxiosWithSSLFallback(url);
+            const response = await axiosInstance.get(url, {
+                responseType: 'arraybuffer',
+                maxContentLength: PROXY_MAX_SOURCE_BYTES,
+                headers: {
+                    'User-Agent': getRandomUserAgent(),
+                    'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
+                    'Accept-Language': 'en-US,en;q=0.9',
+                    'Referer': 'https://www.google.com/',
+                    'Connection': 'keep-alive',
+                    ...(cached?.etag && { 'If-None-Match': cached.etag }),
+                    ...(cached?.lastModified && { 'If-Modified-Since': cached.lastModified })
+                },
+                timeout: TIMEOUT_MS,
+                maxRedirects: 3,
+                validateStatus: (status) => status < 400,
+                signal: controller.signal,
+                ...guardedRequestOptions
+            });
+
+            clearTimeout(timeoutId);
+
+            if (response.status === 304 && cached) {
+                return { notModified: true, headers: response.headers };
+            }
+
+            // Validate content type
+            const contentType = response.headers['content-type'];
+            if (!contentType || !contentType.startsWith('image/')) {
+                log.warn('Invalid content type:', { url, contentType });
+                if (attempt === MAX_RETRIES) {
+                    return { error: 'Invalid content type' };
+                }
+                continue;
+            }
+
+            return { data: Buffer.from(response.data), contentType, headers: response.headers };
+
+        } catch (axiosError) {
+            log.warn(`Attempt ${attempt} failed:`, {
+                url: url.substring(0, 100),
+                error: axiosError.message,
+                status: axiosError.response?.status,
+                code: axiosError.code
+            });
+
+            // Don't retry on certain errors
+            if (isBlockedUrlError(axiosError)) {
+                return { error: 'URL not allowed', blocked: true };
+            }
+
+            if (axiosError.response?.status === 404 ||
+                axiosError.response?.status === 403 ||
+                axiosError.code === 'ERR_INVALID_URL' ||
+                axiosError.message?.includes('maxContentLength')) {
+                break;
+            }
+
+            // Handle SSL certificate errors - try once more with relaxed SSL
+            if (axiosError.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE' ||
+                axiosError.code === 'CERT_UNTRUSTED' ||
+                axiosError.code === 'SELF_SIGNED_CERT_IN_CHAIN') {
+                log.warn(`SSL certificate error, will retry with relaxed verification: ${axiosError.code}`);
+            }
+
+            // Wait before retry (exponential backoff)
+            if (attempt < MAX_RETRIES) {
+                const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // All retries failed
+    log.error('All retry attempts failed for image proxy:', url.substring(0, 100));
+    return { error: 'Image not available' };
+};
+
+// Function to get an upstream image from the disk cache, revalidating or fetching it when needed.
+// Resolves with { data, contentType, hash, cacheStatus } or { error }
+const resolveProxySource = async (url) => {
+    const cached = await proxySourceCache.get(url);
+
+    if (cached && cached.entry.freshUntil > Date.now()) {
+        proxySourceCache.hits++;
+        return { data: cached.data, contentType: cached.entry.contentType, hash: cached.entry.hash, cacheStatus: 'HIT' };
+    }
+
+    const upstream = await fetchProxySource(url, cached?.entry);
+
+    if (upstream.notModified) {
+        proxySourceCache.revalidated++;
+        proxySourceCache.refresh(cached.entry, getUpstreamCacheDetails(upstream.headers));
+        return { data: cached.data, contentType: cached.entry.contentType, hash: cached.entry.hash, cacheStatus: 'REVALIDATED' };
+    }
+
+    if (upstream.error) {
+        if (!cached) return upstream;
+
+        // A stale copy beats a placeholder
+        log.warn('Serving stale proxied image:', { url: url.substring(0, 100), error: upstream.error });
+        return { data: cached.data, contentType: cached.entry.contentType, hash: cached.entry.hash, cacheStatus: 'STALE' };
+    }
+
+    proxySourceCache.misses++;
+    const hash = crypto.createHash('sha256').update(upstream.data).digest('hex');
+    const { storable, ...details } = getUpstreamCacheDetails(upstream.headers);
+
+    if (storable) {
+        // Stored in the background; the response doesn't wait for the disk
+        proxySourceCache.put(url, hash, upstream.data, { contentType: upstream.contentType, ...details });
+    }
+
+    return { data: upstream.data, contentType: upstream.contentType, hash, cacheStatus: 'MISS' };
+};
+
+// Concurrent requests for the same URL (e.g. every srcset width of one card) share a single upstream fetch
+const pendingProxySources = new Map();
+
+const loadProxySource = (url) => {
+    if (!pendingProxySources.has(url)) {
+        pendingProxySources.set(url, resolveProxySource(url).finally(() => pendingProxySources.delete(url)));
+    }
+    return pendingProxySources.get(url);
+};
+
+// Image proxy endpoint
+app.get('/api/proxy-image', async (req, res) => {
+    try {
+        const { url } = req.query;
+
+        if (!url) {
+            return res.status(400).json({ error: 'URL parameter is required' });
+        }
+
+        if (!url.match(/^https?:\/\/.+/)) {
+            log.warn('Invalid URL format:', url);
+            return sendPlaceholderImage(res, 'Invalid URL format');
+        }
+
+        const signatureError = checkUrlSignature('proxy', req.query);
+
+        if (signatureError) {
+            log.warn('Rejected proxy request:', { url: url.substring(0, 100), reason: signatureError });
+            return sendPlaceholderImage(res.status(403), signatureError);
+        }
+
+        try {
+            assertPublicUrl(url);
+        } catch (blockedError) {
+            log.warn('Blocked proxy request:', blockedError.message);
+            return sendPlaceholderImage(res.status(403), 'URL not allowed');
+        }
+
+        const { transform, error } = parseProxyTransform(req.query, req.get('Accept'));
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        log.debug('Proxying image:', { url, transform });
+
+        const source = await loadProxySource(url);
+
+        if (source.error) {
+            return sendPlaceholderImage(source.blocked ? res.status(403) : res, source.error);
+        }
+
+        const original = { data: source.data, contentType: source.contentType, etag: source.hash };
+
+        if (!transform) {
+            return sendProxiedImage(req, res, original, { negotiated: false }, source.cacheStatus);
+        }
+
+        const cacheKey = proxyImageCache.key(source.hash, transform);
+        const cached = proxyImageCache.get(cacheKey);
+
+        if (cached) {
+            return sendProxiedImage(req, res, cached, transform, 'HIT');
+        }
+
+        try {
+            const output = await transformImage(source.data, transform);
+            proxyImageCache.set(cacheKey, output);
+            sendProxiedImage(req, res, output, transform, source.cacheStatus);
+        } catch (transformError) {
+            // Formats sharp can't decode are still worth showing as they are
+            log.warn('Image transform failed, sending original:', { url: url.substring(0, 100), error: transformError.message });
+            sendProxiedImage(req, res, original, { negotiated: false }, 'BYPASS');
+        }
+
+    } catch (error) {
+        log.error('Image proxy error:', error);
+        sendPlaceholderImage(res, 'Proxy error');
+    }
+});
+
+// Helper function to send placeholder image
+function sendPlaceholderImage(res, message = 'Image not available') {
+    if (res.headersSent) return;
+
+    const placeholderSvg = `
+        <svg width="320" height="220" viewBox="0 0 320 220" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <rect width="320" height="220" fill="#F3F4F6" stroke="#E5E7EB" stroke-width="2"/>
+            <circle cx="160" cy="85" r="20" fill="#9CA3AF"/>
+            <path d="M130 130L160 100L190 130H130Z" fill="#9CA3AF"/>
+            <text x="160" y="160" text-anchor="middle" fill="#6B7280" font-family="Arial" font-size="12">${message}</text>
+            <text x="160" y="180" text-anchor="middle" fill="#9CA3AF" font-family="Arial" font-size="10">Placeholder Image</text>
+        </svg>
+    `;
+
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.send(placeholderSvg);
+}
+
+// License registry.
+// Every source maps its images to one of these SPDX-style ids; `createCopyright` expands an id into the
+// `copyright` object carried by results, so filters and the UI work from the same attributes everywhere.
+const LICENSES = {};
+
+const registerLicense = (license) => {
+    LICENSES[license.id] = {
+        url: null,
+        status: 'free',             // 'free', 'restricted' or 'unknown'
+        commercialUse: true,
+        derivatives: true,          // Modified versions may be made
+        shareAlike: false,          // Modified versions must use the same license
+        attributionRequired: false,
+        ...license
+    };
+};
+
+registerLicense({
+    id: 'CC0-1.0',
+    name: 'CC0 1.0',
+    url: 'https://creativecommons.org/publicdomain/zero/1.0/',
+    description: 'Public domain dedication - free to use for any purpose.'
+});
+registerLicense({
+    id: 'Public-Domain',
+    name: 'Public domain',
+    url: 'https://creativecommons.org/publicdomain/mark/1.0/',
+    description: 'Public domain - free to use for any purpose.'
+});
+registerLicense({
+    id: 'Pexels',
+    name: 'Pexels License',
+    url: 'https://www.pexels.com/license/',
+    description: 'Free for commercial use. No attribution required.'
+});
+registerLicense({
+    id: 'Unsplash',
+    name: 'Unsplash License',
+    url: 'https://unsplash.com/license',
+    description: 'Free for commercial use. No attribution required.'
+});
+registerLicense({
+    id: 'Pixabay',
+    name: 'Pixabay License',
+    url: 'https://pixabay.com/service/license-summary/',
+    description: 'Free for commercial use. No attribution required.'
+});
+// Copyleft licenses common on Wikimedia Commons
+[
+    { id: 'GFDL-1.1', name: 'GFDL 1.1', url: 'https://www.gnu.org/licenses/old-licenses/fdl-1.1.html' },
+    { id: 'GFDL-1.2', name: 'GFDL 1.2', url: 'https://www.gnu.org/licenses/old-licenses/fdl-1.2.html' },
+    { id: 'GFDL-1.3', name: 'GFDL 1.3', url: 'https://www.gnu.org/licenses/fdl-1.3.html' },
+    { id: 'GPL-2.0', name: 'GPL 2.0', url: 'https://www.gnu.org/licenses/old-licenses/gpl-2.0.html' },
+    { id: 'GPL-3.0', name: 'GPL 3.0', url: 'https://www.gnu.org/licenses/gpl-3.0.html' },
+    { id: 'LGPL-2.1', name: 'LGPL 2.1', url: 'https://www.gnu.org/licenses/old-licenses/lgpl-2.1.html' },
+    { id: 'FAL-1.3', name: 'Free Art License 1.3', url: 'https://artlibre.org/licence/lal/en/' }
+].forEach(license => registerLicense({
+    ...license,
+    shareAlike: true,
+    attributionRequired: true,
+    description: 'Attribution required. Adaptations must be shared under the same license.'
+}));
+registerLicense({
+    id: 'Attribution',
+    name: 'Attribution',
+    url: 'https://commons.wikimedia.org/wiki/Template:Attribution',
+    attributionRequired: true,
+    description: 'Free to use for any purpose as long as the author is credited.'
+});
+registerLicense({
+    id: 'Fair-Use',
+    name: 'Non-free (fair use)',
+    status: 'restricted',
+    commercialUse: false,
+    derivatives: false,
+    attributionRequired: true,
+    description: 'Non-free content such as a logo. Only usable under fair use.'
+});
+registerLicense({
+    id: 'Unknown',
+    name: 'Unknown',
+    status: 'unknown',
+    commercialUse: false,
+    derivatives: false,
+    attributionRequired: true,
+    description: 'Copyright varies. Check source.'
+});
+
+// Creative Commons licenses, e.g. CC-BY-4.0, CC-BY-SA-3.0, CC-BY-NC-ND-2.0
+['1.0', '2.0', '2.5', '3.0', '4.0'].forEach(version => {
+    ['BY', 'BY-SA', 'BY-ND', 'BY-NC', 'BY-NC-SA', 'BY-NC-ND'].forEach(variant => {
+        const nonCommercial = variant.includes('NC');
+        const noDerivatives = variant.includes('ND');
+        const shareAlike = variant.includes('SA');
+
+        registerLicense({
+            id: `CC-${variant}-${version}`,
+            name: `CC ${variant} ${version}`,
+            url: `https://creativecommons.org/licenses/${variant.toLowerCase()}/${version}/`,
+            commercialUse: !nonCommercial,
+            derivatives: !noDerivatives,
+            shareAlike,
+            attributionRequired: true,
+            description: [
+                'Attribution required.',
+                shareAlike ? 'Adaptations must be shared under the same license.' : null,
+                noDerivatives ? 'No modified versions.' : null,
+                nonCommercial ? 'Non-commercial use only.' : null
+            ].filter(Boolean).join(' ')
+        });
+    });
+});
+
+const getLicense = (id) => LICENSES[id] || LICENSES.Unknown;
+
+// Function to build a result's `copyright` object from a license id; `extra` adds source-specific details
+const createCopyright = (licenseId, extra = {}) => {
+    const license = getLicense(licenseId);
+    return {
+        id: license.id,
+        status: license.status,
+        license: license.name,
+        licenseUrl: license.url,
+        description: license.description,
+        canUseCommercially: license.commercialUse,
+        requiresAttribution: license.attributionRequired,
+        allowsDerivatives: license.derivatives,
+        shareAlike: license.shareAlike,
+        ...extra
+    };
+};
+
+// Helper function to turn an HTML snippet (Commons metadata) into plain text
+const stripHtml = (html) => String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Function to map a Commons license code (e.g. "cc-by-sa-4.0", "pd", "cc0") to a registry id
+const wikimediaLicenseId = (licenseCode, nonFree) => {
+    if (nonFree) return 'Fair-Use';
+    if (/^cc0/.test(licenseCode)) return 'CC0-1.0';
+    if (/^(pd|public-domain)/.test(licenseCode)) return 'Public-Domain';
+    if (/^(fal|free-art)/.test(licenseCode)) return 'FAL-1.3';
+    if (/^attribution/.test(licenseCode)) return 'Attribution';
+    if (/^lgpl/.test(licenseCode)) return 'LGPL-2.1';
+
+    // Commons' unversioned {{GFDL}} and {{GPL}} mean 1.2 and 2.0 "or any later version"
+    const gfdl = licenseCode.match(/^gfdl(?:-(1\.[123]))?/);
+    if (gfdl) return `GFDL-${gfdl[1] || '1.2'}`;
+    const gpl = licenseCode.match(/^gpl(?:v|-)?([23])?/);
+    if (gpl) return gpl[1] === '3' ? 'GPL-3.0' : 'GPL-2.0';
+
+    const cc = licenseCode.match(/^cc-(by(?:-nc)?(?:-sa|-nd)?)-(\d\.\d)/);
+    if (cc && LICENSES[`CC-${cc[1].toUpperCase()}-${cc[2]}`]) {
+        return `CC-${cc[1].toUpperCase()}-${cc[2]}`;
+    }
+    return 'Unknown';
+};
+
+// Function to map a Commons file's `extmetadata` to our copyright fields and author
+const mapWikimediaLicense = (extmetadata = {}) => {
+    const field = (name) => stripHtml(extmetadata[name]?.value);
+
+    const shortName = field('LicenseShortName');
+    const licenseCode = (field('License') || shortName).toLowerCase().replace(/\s+/g, '-');
+    const licenseId = wikimediaLicenseId(licenseCode, field('NonFree').toLowerCase() === 'true');
+    const restrictions = field('Restrictions').split('|').map(value => value.trim()).filter(Boolean);
+
+    const extra = {
+        credit: field('Credit') || null,
+        restrictions
+    };
+    if (field('LicenseUrl')) {
+        extra.licenseUrl = field('LicenseUrl');
+    }
+
+    // Licenses the registry does not know keep Commons' own name and flags. Commons only hosts freely
+    // licensed files unless they are marked NonFree (those map to Fair-Use above).
+    if (licenseId === 'Unknown' && licenseCode) {
+        const shareAlike = /(^|-)sa(-|$)/.test(licenseCode);
+        const nonCommercial = /(^|-)nc(-|$)/.test(licenseCode);
+        const noDerivatives = /(^|-)nd(-|$)/.test(licenseCode);
+        const requiresAttribution = field('AttributionRequired').toLowerCase() !== 'false';
+
+        Object.assign(extra, {
+            status: 'free',
+            license: shortName || field('License'),
+            canUseCommercially: !nonCommercial,
+            requiresAttribution,
+            allowsDerivatives: !noDerivatives,
+            shareAlike,
+            description: [
+                requiresAttribution ? 'Attribution required.' : 'Free to use for any purpose.',
+                shareAlike ? 'Adaptations must be shared under the same license.' : null,
+                noDerivatives ? 'No modified versions.' : null,
+                nonCommercial ? 'Non-commercial use only.' : null
+            ].filter(Boolean).join(' ')
+        });
+    }
+    if (restrictions.length > 0) {
+        extra.description = `${extra.description || getLicense(licenseId).description} Restrictions: ${restrictions.join(', ')}.`;
+    }
+
+    return {
+        copyright: createCopyright(licenseId, extra),
+        photographer: field('Artist') || 'Unknown author'
+    };
+};
+
+// Wikimedia Commons API
+const searchWikimedia = async (query, limit = 50, { page = 1, signal } = {}) => {
+    try {
+        log.info(`Searching Wikimedia Commons for: ${query} (limit: ${limit}, page: ${page})`);
+
+        const response = await axios.get('https://commons.wikimedia.org/w/api.php', {
+            params: {
+                action: 'query',
+                format: 'json',
+                generator: 'search',
+                gsrnamespace: 6,
+                gsrsearch: query,
+                gsrlimit: limit,
+                gsroffset: (page - 1) * limit,
+                prop: 'imageinfo',
+                iiprop: 'url|size|mime|timestamp|extmetadata',
+                iiextmetadatafilter: 'LicenseShortName|License|LicenseUrl|Artist|Credit|AttributionRequired|Restrictions|NonFree',
+                iiurlwidth: 300
+            },
+            headers: {
+                'User-Agent': 'ImageSearchApp/1.0'
+            },
+            timeout: 10000,
+            signal
+        });
+
+        if (!response.data.query || !response.data.query.pages) {
+            log.warn('Wikimedia returned no results', { query });
+            return [];
+        }
+
+        const results = Object.values(response.data.query.pages)
+            .filter(page => page.imageinfo && page.imageinfo[0])
+            .map((page, index) => {
+                const img = page.imageinfo[0];
+                const { copyright, photographer } = mapWikimediaLicense(img.extmetadata);
+                return {
+                    id: `wikimedia_${page.pageid}`,
+                    title: page.title.replace('File:', ''),
+                    url: `/api/proxy-image?url=${encodeURIComponent(img.thumburl || img.url)}`,
+                    downloadUrl: img.url,
+                    sourcePageUrl: `https://commons.wikimedia.org/wiki/${encodeURIComponent(page.title)}`, // Wikimedia page
+                    source: 'Wikimedia Commons',
+                    width: img.width || 800,
+                    height: img.height || 600,
+                    size: img.size ? formatFileSize(img.size) : estimateFileSize(img.width || 800, img.height || 600),
+                    copyright,
+                    photographer,
+                    tags: [query],
+                    publishedAt: img.timestamp || null
+                };
+            });
+
+        log.info(`Wikimedia search completed: ${results.length} results`);
+        return results;
+    } catch (error) {
+        log.error('Wikimedia search error:', error);
+        throw error;
+    }
+};
+
+// Utility function to handle delays across different Puppeteer versions
+const waitForTimeout = async (page, ms) => {
+    try {
+        // Try new method first (Puppeteer v13+)
+        if (typeof page.waitForTimeout === 'function') {
+            await page.waitForTimeout(ms);
+        } else if (typeof page.waitFor === 'function') {
+            // Fallback for older versions (Puppeteer v1-12)
+            await page.waitFor(ms);
+        } else {
+            // Manual timeout using Promise
+            await new Promise(resolve => setTimeout(resolve, ms));
+        }
+    } catch (error) {
+        // Fallback to manual timeout
+        await new Promise(resolve => setTimeout(resolve, ms));
+    }
+};
+
+// Shared Puppeteer browser pool for the scraping sources.
+// A bounded number of browsers is launched on demand and reused; every search gets its own
+// isolated (incognito) browser context. Browsers are recycled after BROWSER_MAX_USES leases or
+// when they crash, and callers queue when every browser is at capacity.
+const BROWSER_POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE) || 2;
+const BROWSER_PAGES_PER_BROWSER = parseInt(process.env.BROWSER_PAGES_PER_BROWSER) || 2;
+const BROWSER_MAX_USES = parseInt(process.env.BROWSER_MAX_USES) || 50;
+const BROWSER_ACQUIRE_TIMEOUT_MS = parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_MS) || 60000;
+
+const browserPool = {
+    slots: [],
+    waiters: [],
+    nextId: 1,
+    closed: false,
+    counters: { launched: 0, recycled: 0, crashed: 0, leases: 0, timeouts: 0 },
+
+    createSlot() {
+        const slot = { id: this.nextId++, browser: null, active: 0, uses: 0, retired: false };
+
+        slot.ready = puppeteer.launch({
+            headless: 'new',
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-blink-features=AutomationControlled',
+                '--disable-web-security',
+                '--disable-accelerated-2d-canvas',
+                '--disable-gpu',
+                '--no-first-run',
+                '--window-size=1920,1080'
+            ]
+        }).then(browser => {
+            slot.browser = browser;
+            this.counters.launched++;
+            log.info(`🧭 Browser ${slot.id} launched (${this.slots.length}/${BROWSER_POOL_SIZE} in pool)`);
+
+            browser.on('disconnected', () => {
+                if (slot.retired) return;
+                log.warn(`Browser ${slot.id} disconnected unexpectedly, removing from pool`);
+                this.counters.crashed++;
+                this.removeSlot(slot);
+            });
+
+            return browser;
+        }).catch(error => {
+            log.error(`Browser ${slot.id} failed to launch:`, error);
+            this.removeSlot(slot);
+            throw error;
+        });
+
+        // Avoid unhandled rejections when nobody is awaiting this launch
+        slot.ready.catch(() => {});
+
+        this.slots.push(slot);
+        return slot;
+    },
+
+    removeSlot(slot) {
+        slot.retired = true;
+        this.slots = this.slots.filter(s => s !== slot);
+        this.dispatch();
+    },
+
+    // Reserve capacity on an existing browser, or launch a new one while under the pool size
+    reserve() {
+        let slot = this.slots.find(s => !s.retired && s.active < BROWSER_PAGES_PER_BROWSER && s.uses < BROWSER_MAX_USES);
+
+        if (!slot && this.slots.length < BROWSER_POOL_SIZE) {
+            slot = this.createSlot();
+        }
+
+        if (slot) {
+            slot.active++;
+            slot.uses++;
+        }
+
+        return slot || null;
+    },
+
+    dispatch() {
+        while (this.waiters.length > 0 && !this.closed) {
+            const slot = this.reserve();
+            if (!slot) break;
+
+            const waiter = this.waiters[0];
+            waiter.leave();
+            waiter.resolve(slot);
+        }
+    },
+
+    waitForSlot(signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                leave();
+                reject(signal.reason);
+            };
+            // Every way out of the queue (slot, timeout, abort, close) goes through leave(),
+            // so a long-lived signal never keeps a listener for a settled waiter
+            const leave = () => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                clearTimeout(waiter.timer);
+                signal?.removeEventListener('abort', onAbort);
+            };
+            const waiter = { resolve, reject, leave };
+
+            waiter.timer = setTimeout(() => {
+                leave();
+                this.counters.timeouts++;
+                reject(new Error(`Timed out after ${BROWSER_ACQUIRE_TIMEOUT_MS}ms waiting for a browser`));
+            }, BROWSER_ACQUIRE_TIMEOUT_MS);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.waiters.push(waiter);
+            log.info(`⏳ All browsers busy, queued request (${this.waiters.length} waiting)`);
+        });
+    },
+
+    // Lease an isolated page. Always call lease.release() when done.
+    // When `signal` aborts, the lease is released early, which closes its page and
+    // makes any pending Puppeteer calls on it reject.
+    async acquire({ signal } = {}) {
+        if (this.closed) {
+            throw new Error('Browser pool is closed');
+        }
+
+        signal?.throwIfAborted();
+
+        const slot = this.reserve() || await this.waitForSlot(signal);
+        let context = null;
+
+        try {
+            const browser = await slot.ready;
+            context = typeof browser.createBrowserContext === 'function'
+                ? await browser.createBrowserContext()
+                : await browser.createIncognitoBrowserContext();
+            const page = await context.newPage();
+
+            this.counters.leases++;
+
+            let released = false;
+            const release = async () => {
+                if (released) return;
+                released = true;
+                signal?.removeEventListener('abort', release);
+                await this.release(slot, context);
+            };
+
+            if (signal?.aborted) {
+                await release();
+                throw signal.reason;
+            }
+            signal?.addEventListener('abort', release, { once: true });
+
+            return { page, release };
+        } catch (error) {
+            await this.release(slot, context);
+            throw error;
+        }
+    },
+
+    async release(slot, context) {
+        if (context) {
+            try {
+                await context.close();
+            } catch (e) {}
+        }
+
+        slot.active = Math.max(slot.active - 1, 0);
+
+        // Recycle browsers that have served their quota once they are idle
+        if (slot.uses >= BROWSER_MAX_USES && slot.active === 0 && !slot.retired) {
+            log.info(`♻️ Recycling browser ${slot.id} after ${slot.uses} uses`);
+            this.counters.recycled++;
+            this.removeSlot(slot);
+            if (slot.browser) {
+                try {
+                    await slot.browser.close();
+                } catch (e) {}
+            }
+            return;
+        }
+
+        this.dispatch();
+    },
+
+    async close() {
+        this.closed = true;
+
+        [...this.waiters].forEach(waiter => {
+            waiter.leave();
+            waiter.reject(new Error('Browser pool is closed'));
+        });
+
+        const slots = this.slots;
+        this.slots = [];
+
+        await Promise.all(slots.map(async slot => {
+            slot.retired = true;
+            try {
+                const browser = await slot.ready;
+                await browser.close();
+            } catch (e) {}
+        }));
+
+        log.info(`Browser pool closed (${slots.length} browsers)`);
+    },
+
+    stats() {
+        return {
+            size: BROWSER_POOL_SIZE,
+            pagesPerBrowser: BROWSER_PAGES_PER_BROWSER,
+            maxUses: BROWSER_MAX_USES,
+            browsers: this.slots.map(slot => ({
+                id: slot.id,
+                ready: !!slot.browser,
+                activePages: slot.active,
+                uses: slot.uses
+            })),
+            queued: this.waiters.length,
+            ...this.counters
+        };
+    }
+};
+
+// Native search filters.
+// Sources that list a filter in `nativeFilters` receive it in their search options and
+// translate it to the provider's own parameters, so upstream quotas go to matching images.
+// Provider semantics are looser than ours, so results are still checked by matchesFilters,
+// except for colour: it can't be checked after the fact, so sources without it are left out.
+const COLOR_FILTERS = ['red', 'orange', 'yellow', 'green', 'turquoise', 'blue', 'purple', 'pink', 'brown', 'black', 'gray', 'white', 'grayscale'];
+
+// Provider name for a normalized colour; `null` in the overrides means the provider has no equivalent
+const translateColor = (color, overrides = {}) => (color in overrides ? overrides[color] : color);
+
+// Minimum pixel count implied by minWidth/minHeight (0 unless both are set)
+const minimumPixels = (filters) => (filters.minWidth || 0) * (filters.minHeight || 0);
+
+const pexelsFilterParams = (filters = {}) => {
+    const params = {};
+    if (filters.orientation) params.orientation = filters.orientation;
+
+    // Pexels sizes are minimum megapixels
+    const pixels = minimumPixels(filters);
+    if (pixels >= 24e6) params.size = 'large';
+    else if (pixels >= 12e6) params.size = 'medium';
+    else if (pixels >= 4e6) params.size = 'small';
+
+    const color = filters.color && translateColor(filters.color, { purple: 'violet', grayscale: null });
+    if (color) params.color = color;
+
+    return params;
+};
+
+const pixabayFilterParams = (filters = {}) => {
+    const params = {};
+    if (filters.orientation === 'landscape') params.orientation = 'horizontal';
+    if (filters.orientation === 'portrait') params.orientation = 'vertical';
+    if (filters.minWidth) params.min_width = filters.minWidth;
+    if (filters.minHeight) params.min_height = filters.minHeight;
+
+    const color = filters.color && translateColor(filters.color, { purple: 'lilac' });
+    if (color) params.colors = color;
+
+    return params;
+};
+
+const unsplashFilterParams = (filters = {}) => {
+    const params = {};
+    if (filters.orientation) params.orientation = filters.orientation === 'square' ? 'squarish' : filters.orientation;
+
+    const color = filters.color && translateColor(filters.color, {
+        turquoise: 'teal',
+        pink: 'magenta',
+        brown: null,
+        gray: null,
+        grayscale: 'black_and_white'
+    });
+    if (color) params.color = color;
+
+    return params;
+};
+
+// Google's `tbs` value, e.g. "iar:t,isz:lt,islt:2mp,ic:specific,isc:red"
+const GOOGLE_MIN_SIZES = [
+    ['70mp', 70e6], ['40mp', 40e6], ['20mp', 20e6], ['15mp', 15e6], ['12mp', 12e6], ['10mp', 10e6],
+    ['8mp', 8e6], ['6mp', 6e6], ['4mp', 4e6], ['2mp', 2e6], ['xga', 1024 * 768], ['svga', 800 * 600],
+    ['vga', 640 * 480], ['qsvga', 400 * 300]
+];
+
+const googleFilterParams = (filters = {}) => {
+    const tbs = [];
+    const aspect = { landscape: 'w', portrait: 't', square: 's' }[filters.orientation];
+    if (aspect) tbs.push(`iar:${aspect}`);
+
+    const pixels = minimumPixels(filters);
+    const minSize = GOOGLE_MIN_SIZES.find(([, size]) => pixels >= size);
+    if (minSize) tbs.push('isz:lt', `islt:${minSize[0]}`);
+
+    if (filters.color === 'grayscale') {
+        tbs.push('ic:gray');
+    } else if (filters.color) {
+        tbs.push('ic:specific', `isc:${translateColor(filters.color, { turquoise: 'teal' })}`);
+    }
+
+    return tbs.length > 0 ? `&tbs=${encodeURIComponent(tbs.join(','))}` : '';
+};
+
+// Bing's `qft` value, e.g. "+filterui:aspect-tall+filterui:color2-FGcls_RED"
+const bingFilterParams = (filters = {}) => {
+    const qft = [];
+    const aspect = { landscape: 'wide', portrait: 'tall', square: 'square' }[filters.orientation];
+    if (aspect) qft.push(`aspect-${aspect}`);
+
+    if (filters.minWidth || filters.minHeight) {
+        qft.push(`imagesize-custom_${filters.minWidth || 0}_${filters.minHeight || 0}`);
+    }
+
+    if (filters.color === 'grayscale') {
+        qft.push('color2-bw');
+    } else if (filters.color) {
+        qft.push(`color2-FGcls_${translateColor(filters.color, { turquoise: 'teal' }).toUpperCase()}`);
+    }
+
+    return qft.length > 0 ? `&qft=${encodeURIComponent(qft.map(filter => `+filterui:${filter}`).join(''))}` : '';
+};
+
+// Fixed Google Images scraper with improved image URL extraction
+const searchGoogleImages = async (query, limit = 80, { page: resultPage = 1, filters, signal } = {}) => {
+    let lease;
+    try {
+        log.info(`🔍 Starting Google Images search: "${query}" (limit: ${limit}, page: ${resultPage})`);
+        const images = [];
+
+        lease = await browserPool.acquire({ signal });
+        const page = lease.page;
+        await page.setViewport({ width: 1920, height: 1080 });
+
+        // Basic stealth
+        await page.evaluateOnNewDocument(() => {
             Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
         });
 
         await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
 
-        const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}&tbm=isch&hl=en&safe=off`;
+        const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}&tbm=isch&hl=en&safe=off${googleFilterParams(filters)}`;
         
         log.info(`🌐 Loading: ${searchUrl}`);
         await page.goto(searchUrl, { waitUntil: 'networkidle0', timeout: 20000 });
@@ -508,14 +1803,16 @@ const searchGoogleImages = async (query, limit = 80) => {
         await page.waitForSelector('div[jsname="dTDiAc"], .isv-r, img[src*="gstatic"]', { timeout: 15000 });
         log.info(`✅ Image grid loaded`);
 
-        // Scroll to load more images
+        // Scroll to load more images - later pages need more of the grid loaded
         log.info(`📜 Loading more images...`);
-        for (let scroll = 0; scroll < 4; scroll++) {
+        const scrollCount = 4 + (resultPage - 1) * 2;
+        for (let scroll = 0; scroll < scrollCount; scroll++) {
+            signal?.throwIfAborted();
             await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
             await waitForTimeout(page, 800);
             
             // Try show more button
-            if (scroll === 2) {
+            if (scroll % 4 === 2) {
                 try {
                     const showMoreSelectors = [
                         'input[value*="Show more"]',
@@ -542,9 +1839,11 @@ const searchGoogleImages = async (query, limit = 80) => {
 
         // Get containers with better selector strategy
         const containers = await page.$$('div[jsname="dTDiAc"], .isv-r');
-        const targetCount = Math.min(containers.length, limit);
+        const startIndex = (resultPage - 1) * limit;
+        const endIndex = Math.min(containers.length, startIndex + limit);
+        const targetCount = Math.max(endIndex - startIndex, 0);
         
-        log.info(`🎯 Found ${containers.length} clickable containers, processing ${targetCount}`);
+        log.info(`🎯 Found ${containers.length} clickable containers, processing ${targetCount} from index ${startIndex}`);
 
         if (containers.length === 0) {
             throw new Error('No image containers found on page');
@@ -553,9 +1852,10 @@ const searchGoogleImages = async (query, limit = 80) => {
         // Process each container with improved click handling
         let successCount = 0;
         
-        for (let i = 0; i < targetCount; i++) {
+        for (let i = startIndex; i < endIndex; i++) {
+            signal?.throwIfAborted();
             try {
-                log.info(`🖱️ Processing image ${i + 1}/${targetCount}`);
+                log.info(`🖱️ Processing image ${i + 1}/${endIndex}`);
 
                 const container = containers[i];
                 
@@ -751,13 +2051,7 @@ const searchGoogleImages = async (query, limit = 80) => {
                         width: imageData.width,
                         height: imageData.height,
                         size: estimateFileSize(imageData.width, imageData.height),
-                        copyright: {
-                            status: 'unknown',
-                            license: 'Various',
-                            description: 'Copyright varies. Check source.',
-                            canUseCommercially: false,
-                            requiresAttribution: true
-                        },
+                        copyright: createCopyright('Unknown'),
                         photographer: 'Various',
                         tags: [query],
                         extractionMethod: 'fixed_sidebar_click',
@@ -796,7 +2090,7 @@ const searchGoogleImages = async (query, limit = 80) => {
         const standardCount = images.length - highQualityCount;
 
         log.info(`🏆 Google Images extraction completed:`);
-        log.info(`   📊 Total: ${images.length}/${targetCount} (${((images.length/targetCount)*100).toFixed(1)}% success)`);
+        log.info(`   📊 Total: ${images.length}/${targetCount} (${targetCount ? ((images.length/targetCount)*100).toFixed(1) : 0}% success)`);
         log.info(`   ✨ High quality URLs: ${highQualityCount}`);
         log.info(`   📷 Standard URLs: ${standardCount}`);
 
@@ -808,37 +2102,23 @@ const searchGoogleImages = async (query, limit = 80) => {
             query,
             limit
         });
-        return [];
+        throw error;
     } finally {
-        if (browser) {
-            try {
-                await browser.close();
-            } catch (e) {}
+        if (lease) {
+            await lease.release();
         }
     }
 };
 
 // Improved Bing Images scraper
-const searchBingImages = async (query, limit = 80) => {
-    let browser;
+const searchBingImages = async (query, limit = 80, { page: resultPage = 1, filters, signal } = {}) => {
+    let lease;
     try {
-        log.info(`Searching Bing Images for: ${query} (limit: ${limit})`);
+        log.info(`Searching Bing Images for: ${query} (limit: ${limit}, page: ${resultPage})`);
         const images = [];
 
-        browser = await puppeteer.launch({
-            headless: 'new',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--disable-gpu',
-                '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-            ]
-        });
-
-        const page = await browser.newPage();
+        lease = await browserPool.acquire({ signal });
+        const page = lease.page;
 
         // Set realistic viewport and user agent
         await page.setViewport({ width: 1366, height: 768 });
@@ -850,7 +2130,8 @@ const searchBingImages = async (query, limit = 80) => {
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
         });
 
-        const searchUrl = `https://www.bing.com/images/search?q=${encodeURIComponent(query)}&form=HDRSC2&first=1&count=150`;
+        const first = (resultPage - 1) * limit + 1;
+        const searchUrl = `https://www.bing.com/images/search?q=${encodeURIComponent(query)}&form=HDRSC2&first=${first}&count=150${bingFilterParams(filters)}`;
 
         try {
             await page.goto(searchUrl, {
@@ -882,7 +2163,7 @@ const searchBingImages = async (query, limit = 80) => {
                 await page.evaluate(() => {
                     window.scrollTo(0, document.body.scrollHeight);
                 });
-                await delay(800 + Math.random() * 400);
+                await delay(800 + Math.random() * 400, signal);
             }
 
             // Extract image data with improved method
@@ -1007,13 +2288,7 @@ const searchBingImages = async (query, limit = 80) => {
                     width: item.width || 800,
                     height: item.height || 600,
                     size: estimateFileSize(item.width || 800, item.height || 600),
-                    copyright: {
-                        status: 'unknown',
-                        license: 'Various',
-                        description: 'Copyright varies. Check source.',
-                        canUseCommercially: false,
-                        requiresAttribution: true
-                    },
+                    copyright: createCopyright('Unknown'),
                     photographer: 'Various',
                     tags: [query]
                 });
@@ -1021,6 +2296,7 @@ const searchBingImages = async (query, limit = 80) => {
 
         } catch (error) {
             log.error(`Bing search navigation failed:`, error);
+            throw error;
         }
 
         log.info(`Bing Images search completed: ${images.length} results`);
@@ -1028,34 +2304,36 @@ const searchBingImages = async (query, limit = 80) => {
 
     } catch (error) {
         log.error('Bing Images search error:', error);
-        return [];
+        throw error;
     } finally {
-        if (browser) {
-            await browser.close();
+        if (lease) {
+            await lease.release();
         }
     }
 };
 
 // Pexels API with detailed logging
-const searchPexels = async (query, limit = 50) => {
+const searchPexels = async (query, limit = 50, { page = 1, filters, signal } = {}) => {
     try {
         if (API_KEYS.PEXELS_KEY === 'demo_key') {
             log.warn('Pexels API key not configured, skipping');
             return [];
         }
 
-        log.info(`Searching Pexels for: ${query} (limit: ${limit})`);
+        log.info(`Searching Pexels for: ${query} (limit: ${limit}, page: ${page})`);
 
         const response = await axios.get('https://api.pexels.com/v1/search', {
             params: {
                 query,
                 per_page: Math.min(limit, 80),
-                page: 1
+                page,
+                ...pexelsFilterParams(filters)
             },
             headers: {
                 'Authorization': API_KEYS.PEXELS_KEY
             },
-            timeout: 10000
+            timeout: 10000,
+            signal
         });
 
         const results = response.data.photos.map(photo => ({
@@ -1068,13 +2346,7 @@ const searchPexels = async (query, limit = 50) => {
             width: photo.width,
             height: photo.height,
             size: estimateFileSize(photo.width, photo.height),
-            copyright: {
-                status: 'free',
-                license: 'Pexels License',
-                description: 'Free for commercial use. No attribution required.',
-                canUseCommercially: true,
-                requiresAttribution: false
-            },
+            copyright: createCopyright('Pexels'),
             photographer: photo.photographer,
             tags: [query]
         }));
@@ -1093,19 +2365,19 @@ const searchPexels = async (query, limit = 50) => {
         return validatedResults;
     } catch (error) {
         log.error('Pexels search error:', error);
-        return [];
+        throw error;
     }
 };
 
 // Pixabay API with detailed logging
-const searchPixabay = async (query, limit = 50) => {
+const searchPixabay = async (query, limit = 50, { page = 1, filters, signal } = {}) => {
     try {
         if (API_KEYS.PIXABAY_KEY === 'demo_key') {
             log.warn('Pixabay API key not configured, skipping');
             return [];
         }
 
-        log.info(`Searching Pixabay for: ${query} (limit: ${limit})`);
+        log.info(`Searching Pixabay for: ${query} (limit: ${limit}, page: ${page})`);
 
         const response = await axios.get('https://pixabay.com/api/', {
             params: {
@@ -1114,9 +2386,11 @@ const searchPixabay = async (query, limit = 50) => {
                 image_type: 'photo',
                 per_page: Math.min(limit, 200),
                 safesearch: 'true',
-                page: 1
+                page,
+                ...pixabayFilterParams(filters)
             },
-            timeout: 10000
+            timeout: 10000,
+            signal
         });
 
         const results = response.data.hits.map(image => ({
@@ -1129,13 +2403,7 @@ const searchPixabay = async (query, limit = 50) => {
             width: image.imageWidth,
             height: image.imageHeight,
             size: estimateFileSize(image.imageWidth, image.imageHeight),
-            copyright: {
-                status: 'free',
-                license: 'Pixabay License',
-                description: 'Free for commercial use. No attribution required.',
-                canUseCommercially: true,
-                requiresAttribution: false
-            },
+            copyright: createCopyright('Pixabay'),
             photographer: image.user,
             tags: image.tags ? image.tags.split(', ') : [query]
         }));
@@ -1154,29 +2422,32 @@ const searchPixabay = async (query, limit = 50) => {
         return validatedResults;
     } catch (error) {
         log.error('Pixabay search error:', error);
-        return [];
+        throw error;
     }
 };
 
 // Unsplash API with detailed logging and validation
-const searchUnsplash = async (query, limit = 50) => {
+const searchUnsplash = async (query, limit = 50, { page = 1, filters, signal } = {}) => {
     try {
         if (API_KEYS.UNSPLASH_ACCESS_KEY === 'demo_key') {
             log.warn('Unsplash API key not configured, skipping');
             return [];
         }
 
-        log.info(`Searching Unsplash for: ${query} (limit: ${limit})`);
+        log.info(`Searching Unsplash for: ${query} (limit: ${limit}, page: ${page})`);
 
         const response = await axios.get('https://api.unsplash.com/search/photos', {
             params: {
                 query,
-                per_page: Math.min(limit, 50)
+                per_page: Math.min(limit, 50),
+                page,
+                ...unsplashFilterParams(filters)
             },
             headers: {
                 'Authorization': `Client-ID ${API_KEYS.UNSPLASH_ACCESS_KEY}`
             },
-            timeout: 10000
+            timeout: 10000,
+            signal
         });
 
         const results = response.data.results.map(photo => ({
@@ -1189,15 +2460,10 @@ const searchUnsplash = async (query, limit = 50) => {
             width: photo.width,
             height: photo.height,
             size: estimateFileSize(photo.width, photo.height),
-            copyright: {
-                status: 'free',
-                license: 'Unsplash License',
-                description: 'Free for commercial use. No attribution required.',
-                canUseCommercially: true,
-                requiresAttribution: false
-            },
+            copyright: createCopyright('Unsplash'),
             photographer: photo.user.name,
-            tags: photo.tags ? photo.tags.map(tag => tag.title) : [query]
+            tags: photo.tags ? photo.tags.map(tag => tag.title) : [query],
+            publishedAt: photo.created_at || null
         }));
 
         // Add URL validation to all search results
@@ -1214,24 +2480,26 @@ const searchUnsplash = async (query, limit = 50) => {
         return validatedResults;
     } catch (error) {
         log.error('Unsplash search error:', error);
-        return [];
+        throw error;
     }
 };
 
 // Enhanced DuckDuckGo Images scraper with anti-detection measures
-const searchDuckDuckGoImages = async (query, limit = 50) => {
+const searchDuckDuckGoImages = async (query, limit = 50, { page = 1, signal } = {}) => {
     const MAX_RETRIES = 3;
     const BASE_DELAY = 1000; // 1 second base delay
 
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
         try {
-            log.info(`Searching DuckDuckGo Images for: ${query} (limit: ${limit}) - Attempt ${attempt}`);
+            signal?.throwIfAborted();
+
+            log.info(`Searching DuckDuckGo Images for: ${query} (limit: ${limit}, page: ${page}) - Attempt ${attempt}`);
 
             // Add random delay between requests
             if (attempt > 1) {
-                const delay = BASE_DELAY * attempt + Math.random() * 1000;
-                log.info(`Waiting ${Math.round(delay)}ms before retry...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
+                const retryWait = BASE_DELAY * attempt + Math.random() * 1000;
+                log.info(`Waiting ${Math.round(retryWait)}ms before retry...`);
+                await delay(retryWait, signal);
             }
 
             // Enhanced headers to appear more like a real browser
@@ -1255,7 +2523,8 @@ const searchDuckDuckGoImages = async (query, limit = 50) => {
                 headers,
                 timeout: 15000,
                 maxRedirects: 5,
-                validateStatus: status => status < 500 // Accept 4xx as valid for parsing
+                validateStatus: status => status < 500, // Accept 4xx as valid for parsing
+                signal
             });
 
             // Handle potential redirects or different response formats
@@ -1287,8 +2556,7 @@ const searchDuckDuckGoImages = async (query, limit = 50) => {
             if (!vqd) {
                 log.warn(`Attempt ${attempt}: Could not extract vqd token`);
                 if (attempt === MAX_RETRIES) {
-                    log.error('Failed to extract vqd token after all attempts');
-                    return [];
+                    throw new Error('Failed to extract vqd token after all attempts');
                 }
                 continue;
             }
@@ -1296,7 +2564,7 @@ const searchDuckDuckGoImages = async (query, limit = 50) => {
             log.info(`Retrieved vqd token: ${vqd.substring(0, 10)}...`);
 
             // Add a small delay between token request and image search
-            await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 500));
+            await delay(500 + Math.random() * 500, signal);
 
             // Enhanced headers for image search
             const imageSearchHeaders = {
@@ -1318,13 +2586,14 @@ const searchDuckDuckGoImages = async (query, limit = 50) => {
                     f: ',,,',
                     p: '1',
                     v7exp: 'a',
-                    s: '0', // Start index
+                    s: String((page - 1) * limit), // Start index
                     u: 'bing', // Additional parameter sometimes required
                     bing_market: 'us-EN'
                 },
                 headers: imageSearchHeaders,
                 timeout: 15000,
-                validateStatus: status => status < 500
+                validateStatus: status => status < 500,
+                signal
             });
 
             if (searchResponse.status === 403) {
@@ -1339,14 +2608,13 @@ const searchDuckDuckGoImages = async (query, limit = 50) => {
             if (!searchResponse.data || !searchResponse.data.results) {
                 log.warn(`Attempt ${attempt}: Invalid response structure`);
                 if (attempt === MAX_RETRIES) {
-                    log.error('Invalid response structure after all attempts');
-                    return [];
+                    throw new Error('Invalid response structure after all attempts');
                 }
                 continue;
             }
 
             const results = searchResponse.data.results.slice(0, limit).map((image, index) => ({
-                id: `duckduckgo_${Date.now()}_${index}`,
+                id: `duckduckgo_${Date.now()}_${(page - 1) * limit + index}`,
                 title: image.title || `${query} - DuckDuckGo Images`,
                 url: `/api/proxy-image?url=${encodeURIComponent(image.thumbnail)}`,
                 downloadUrl: image.image,
@@ -1355,13 +2623,7 @@ const searchDuckDuckGoImages = async (query, limit = 50) => {
                 width: parseInt(image.width) || 800,
                 height: parseInt(image.height) || 600,
                 size: estimateFileSize(parseInt(image.width) || 800, parseInt(image.height) || 600),
-                copyright: {
-                    status: 'unknown',
-                    license: 'Various',
-                    description: 'Copyright varies. Check source.',
-                    canUseCommercially: false,
-                    requiresAttribution: true
-                },
+                copyright: createCopyright('Unknown'),
                 photographer: 'Various',
                 tags: [query]
             }));
@@ -1370,333 +2632,1744 @@ const searchDuckDuckGoImages = async (query, limit = 50) => {
             return results;
 
         } catch (error) {
+            // Aborted searches are not retried
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+
             log.warn(`Attempt ${attempt} failed:`, error.message);
 
             if (attempt === MAX_RETRIES) {
                 log.error('DuckDuckGo Images search error after all attempts:', error);
-                return [];
+                throw error;
             }
 
             // Progressive backoff for retries
             const retryDelay = BASE_DELAY * Math.pow(2, attempt - 1) + Math.random() * 1000;
             log.info(`Retrying in ${Math.round(retryDelay)}ms...`);
-            await new Promise(resolve => setTimeout(resolve, retryDelay));
+            await delay(retryDelay, signal);
+        }
+    }
+
+    return [];
+};
+
+// Source provider registry
+// Every source registers a descriptor here; the multi-source search, /health,
+// /api/test/:source and the UI source filter are all generated from it.
+const sourceRegistry = new Map();
+
+const registerSource = (descriptor) => {
+    if (!descriptor || !descriptor.id || !descriptor.name || typeof descriptor.search !== 'function') {
+        throw new Error(`Invalid source descriptor: ${descriptor?.id || descriptor?.name || 'unknown'}`);
+    }
+
+    const id = descriptor.id.toLowerCase();
+    if (sourceRegistry.has(id)) {
+        throw new Error(`Source "${id}" is already registered`);
+    }
+
+    sourceRegistry.set(id, {
+        type: 'api',            // 'api' or 'scraper'
+        capabilities: [],
+        requiredKeys: [],       // Names of API_KEYS entries or environment variables
+        limitFactor: null,      // Share of the requested limit; defaults to the per-source limit
+        nativeFilters: [],      // Search filters passed to the source in `options.filters`
+        ...descriptor,
+        id
+    });
+
+    log.debug(`Registered source: ${descriptor.name} (${id})`);
+};
+
+const getSource = (id) => sourceRegistry.get(String(id || '').toLowerCase()) || null;
+
+const getAllSources = () => Array.from(sourceRegistry.values());
+
+const isKeyConfigured = (keyName) => {
+    const value = API_KEYS[keyName] ?? process.env[keyName];
+    return !!value && value !== 'demo_key';
+};
+
+const isSourceConfigured = (source) => source.requiredKeys.every(isKeyConfigured);
+
+// Public view of a descriptor (no functions)
+const describeSource = (source) => ({
+    id: source.id,
+    name: source.name,
+    type: source.type,
+    capabilities: source.capabilities,
+    nativeFilters: source.nativeFilters,
+    requiredKeys: source.requiredKeys,
+    configured: isSourceConfigured(source)
+});
+
+// Built-in sources
+registerSource({
+    id: 'pexels',
+    name: 'Pexels',
+    type: 'api',
+    capabilities: ['thumbnails', 'license', 'photographer'],
+    nativeFilters: ['orientation', 'minWidth', 'minHeight', 'color'],
+    requiredKeys: ['PEXELS_KEY'],
+    search: searchPexels
+});
+
+registerSource({
+    id: 'pixabay',
+    name: 'Pixabay',
+    type: 'api',
+    capabilities: ['thumbnails', 'license', 'photographer', 'tags'],
+    nativeFilters: ['orientation', 'minWidth', 'minHeight', 'color'],
+    requiredKeys: ['PIXABAY_KEY'],
+    search: searchPixabay
+});
+
+registerSource({
+    id: 'unsplash',
+    name: 'Unsplash',
+    type: 'api',
+    capabilities: ['thumbnails', 'license', 'photographer', 'tags'],
+    nativeFilters: ['orientation', 'color'],
+    requiredKeys: ['UNSPLASH_ACCESS_KEY'],
+    search: searchUnsplash
+});
+
+registerSource({
+    id: 'wikimedia',
+    name: 'Wikimedia Commons',
+    type: 'api',
+    capabilities: ['thumbnails'],
+    search: searchWikimedia
+});
+
+registerSource({
+    id: 'google',
+    name: 'Google Images',
+    type: 'scraper',
+    capabilities: ['browser'],
+    nativeFilters: ['orientation', 'minWidth', 'minHeight', 'color'],
+    limitFactor: 0.3,
+    search: searchGoogleImages
+});
+
+registerSource({
+    id: 'bing',
+    name: 'Bing Images',
+    type: 'scraper',
+    capabilities: ['browser'],
+    nativeFilters: ['orientation', 'minWidth', 'minHeight', 'color'],
+    limitFactor: 0.3,
+    search: searchBingImages
+});
+
+registerSource({
+    id: 'duckduckgo',
+    name: 'DuckDuckGo Images',
+    type: 'scraper',
+    capabilities: ['thumbnails'],
+    search: searchDuckDuckGoImages
+});
+
+// Load additional source modules from the sources/ directory.
+// Each module exports a descriptor (or an array of them), or a function that
+// receives the shared helpers below and returns one.
+const SOURCES_DIR = process.env.SOURCES_DIR || path.join(__dirname, 'sources');
+
+const sourceModuleContext = {
+    log,
+    axios,
+    puppeteer,
+    API_KEYS,
+    delay,
+    formatFileSize,
+    estimateFileSize,
+    validateAndCleanUrl,
+    getRandomUserAgent,
+    waitForTimeout,
+    browserPool,
+    createCopyright
+};
+
+const loadSourceModules = () => {
+    if (!fs.existsSync(SOURCES_DIR)) return;
+
+    const files = fs.readdirSync(SOURCES_DIR).filter(file => file.endsWith('.js')).sort();
+
+    for (const file of files) {
+        try {
+            const exported = require(path.join(SOURCES_DIR, file));
+            const descriptors = typeof exported === 'function' ? exported(sourceModuleContext) : exported;
+            [].concat(descriptors).forEach(registerSource);
+            log.info(`Loaded source module: ${file}`);
+        } catch (error) {
+            log.error(`Failed to load source module ${file}:`, error);
+        }
+    }
+};
+
+loadSourceModules();
+
+// Serve static files
+app.use(express.static(path.join(__dirname, 'public')));
+
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Helper function to normalize URLs for comparison
+const normalizeUrlForComparison = (url) => {
+    if (!url) return '';
+    try {
+        return url.toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/^www\./, '')
+            .replace(/\?.*$/, '')
+            .replace(/&.*$/, '')
+            .replace(/_\d+x\d+\.(jpg|jpeg|png|webp|gif)$/, '.$1')
+            .replace(/\/thumb\/.*?\//, '/')
+            .trim();
+    } catch (e) {
+        return url.toLowerCase();
+    }
+};
+
+// Helper function to reduce a normalized URL to what identifies the image, dropping the
+// size variants and CDN transforms that normalizeUrlForComparison keeps
+const canonicalizeImageUrl = (normalizedUrl) => {
+    if (!normalizedUrl) return '';
+    return normalizedUrl
+        .replace(/^(i\d\.wp\.com|images\.weserv\.nl)\//, '')              // Image CDN mirrors of another host
+        .replace(/\/(w|h|c|q|f|ar|dpr)_[^/]*(,[^/]*)*\//g, '/')            // Cloudinary-style transforms
+        .replace(/\/(\d{2,4}x\d{2,4}|fit-in|resize|thumbs?|medium|large|small|original)\//g, '/')
+        .replace(/([-_](\d{2,4}x\d{2,4}|scaled|large|medium|small|thumb)|_[bzmotnsqc]|@\dx)(?=\.\w+$)/, '')
+        .replace(/=[swh]\d+(-[a-z0-9-]*)?$/, '')                          // Google user content sizes
+        .replace(/\.(jpe?g|png|webp|gif|avif)$/, '');
+};
+
+// Helper function to get the character trigrams of a string (padded so short strings still have some)
+const getTrigrams = (str) => {
+    const padded = `  ${String(str || '').toLowerCase()} `;
+    const trigrams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        trigrams.add(padded.substring(i, i + 3));
+    }
+    return trigrams;
+};
+
+// Helper function to calculate similarity between strings (Dice coefficient of their trigrams, 0 to 1)
+const calculateStringSimilarity = (str1, str2) => {
+    if (!str1 || !str2) return 0;
+    if (str1.toLowerCase() === str2.toLowerCase()) return 1;
+
+    const trigrams1 = getTrigrams(str1);
+    const trigrams2 = getTrigrams(str2);
+
+    let shared = 0;
+    trigrams1.forEach(trigram => {
+        if (trigrams2.has(trigram)) shared++;
+    });
+
+    return (2 * shared) / (trigrams1.size + trigrams2.size);
+};
+
+// Image ids are usually numbers in the path, so two URLs that differ only in a long number are different images
+const haveSameNumericIds = (str1, str2) => {
+    const ids = (str) => (str.match(/\d{3,}/g) || []).sort().join(',');
+    return ids(str1) === ids(str2);
+};
+
+// Similar canonical URLs only point to the same image if their file names are similar too;
+// otherwise "/gallery/a" and "/gallery/b" on a long shared path would look like one image
+const isSameImageUrl = (canonicalUrl1, canonicalUrl2, threshold) => {
+    const fileName = (url) => url.substring(url.lastIndexOf('/') + 1);
+    return haveSameNumericIds(canonicalUrl1, canonicalUrl2) &&
+        calculateStringSimilarity(fileName(canonicalUrl1), fileName(canonicalUrl2)) >= threshold;
+};
+
+// Trigram index for finding similar strings without comparing against every entry.
+// A match with similarity `t` must share at least t/(2-t) of the query's trigrams, so it is
+// enough to look up the query's rarest trigrams that could all be missing from a match
+// (prefix filtering); common ones like ".com" or "jpg" are never scanned. Candidates are then scored exactly.
+const createTrigramIndex = () => {
+    const buckets = new Map();  // Trigram -> Set of keys
+    const entries = new Map();  // Key -> { value, trigrams }
+
+    return {
+        get size() {
+            return entries.size;
+        },
+
+        add(key, value) {
+            const trigrams = getTrigrams(value);
+            entries.set(key, { value, trigrams });
+            trigrams.forEach(trigram => {
+                if (!buckets.has(trigram)) buckets.set(trigram, new Set());
+                buckets.get(trigram).add(key);
+            });
+        },
+
+        // Entries with a similarity of at least `threshold`, best first
+        findSimilar(value, threshold) {
+            const trigrams = getTrigrams(value);
+            const minShared = Math.ceil((threshold * trigrams.size) / (2 - threshold));
+            const probeCount = trigrams.size - minShared + 1;
+
+            const candidates = new Set();
+            // Trigrams nobody has are the rarest of all; they use up probes without adding candidates
+            Array.from(trigrams)
+                .map(trigram => buckets.get(trigram) || null)
+                .sort((a, b) => (a?.size || 0) - (b?.size || 0))
+                .slice(0, probeCount)
+                .forEach(bucket => bucket?.forEach(key => candidates.add(key)));
+
+            const matches = [];
+            candidates.forEach(key => {
+                const entry = entries.get(key);
+                let shared = 0;
+                trigrams.forEach(trigram => {
+                    if (entry.trigrams.has(trigram)) shared++;
+                });
+
+                const score = (2 * shared) / (trigrams.size + entry.trigrams.size);
+                if (score >= threshold) {
+                    matches.push({ key, value: entry.value, score });
+                }
+            });
+
+            return matches.sort((a, b) => b.score - a.score);
+        }
+    };
+};
+
+// Search result cache
+// Raw per-source results keyed by source + normalized query + limit + page. Entries live in an
+// in-memory LRU and, when SEARCH_CACHE_DIR is set, are persisted there as one JSON file each.
+const SEARCH_CACHE_TTL_MS = parseInt(process.env.SEARCH_CACHE_TTL_MS) || 10 * 60 * 1000;
+const SEARCH_CACHE_MAX_ENTRIES = parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES) || 500;
+const SEARCH_CACHE_DIR = process.env.SEARCH_CACHE_DIR || null;
+// Bearer token for DELETE /api/cache; the purge endpoint is disabled when unset
+const CACHE_ADMIN_TOKEN = process.env.CACHE_ADMIN_TOKEN || null;
+
+const searchCache = {
+    entries: new Map(),
+    hits: 0,
+    misses: 0,
+
+    key(sourceId, query, limit, page, filters = {}) {
+        const normalizedQuery = String(query).trim().toLowerCase().replace(/\s+/g, ' ');
+        const parts = [sourceId, normalizedQuery, Number(limit), page];
+        if (Object.keys(filters).length > 0) {
+            parts.push(JSON.stringify(filters));
+        }
+        return parts.join('|');
+    },
+
+    filePath(key) {
+        return path.join(SEARCH_CACHE_DIR, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+    },
+
+    isFresh(entry) {
+        return Date.now() - entry.storedAt < SEARCH_CACHE_TTL_MS;
+    },
+
+    remember(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        // Evict least recently used entries
+        while (this.entries.size > SEARCH_CACHE_MAX_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    },
+
+    async get(key) {
+        let entry = this.entries.get(key);
+
+        if (!entry && SEARCH_CACHE_DIR) {
+            try {
+                entry = JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+            } catch (error) {
+                entry = null;
+            }
+        }
+
+        if (!entry || !this.isFresh(entry)) {
+            if (entry) await this.delete(key);
+            this.misses++;
+            return null;
+        }
+
+        this.remember(key, entry);
+        this.hits++;
+        return { results: structuredClone(entry.results), storedAt: entry.storedAt };
+    },
+
+    async set(key, results) {
+        const entry = { key, storedAt: Date.now(), results: structuredClone(results) };
+        this.remember(key, entry);
+
+        if (SEARCH_CACHE_DIR) {
+            try {
+                await fs.promises.mkdir(SEARCH_CACHE_DIR, { recursive: true });
+                await fs.promises.writeFile(this.filePath(key), JSON.stringify(entry));
+            } catch (error) {
+                log.warn('Failed to persist search cache entry:', { key, error: error.message });
+            }
+        }
+    },
+
+    async delete(key) {
+        this.entries.delete(key);
+        if (SEARCH_CACHE_DIR) {
+            await fs.promises.rm(this.filePath(key), { force: true }).catch(() => {});
+        }
+    },
+
+    async purge() {
+        const purged = this.entries.size;
+        this.entries.clear();
+
+        if (SEARCH_CACHE_DIR && fs.existsSync(SEARCH_CACHE_DIR)) {
+            const files = (await fs.promises.readdir(SEARCH_CACHE_DIR)).filter(file => file.endsWith('.json'));
+            await Promise.all(files.map(file => fs.promises.rm(path.join(SEARCH_CACHE_DIR, file), { force: true })));
+        }
+
+        log.info(`Search cache purged (${purged} in-memory entries)`);
+        return purged;
+    },
+
+    stats() {
+        return {
+            entries: this.entries.size,
+            maxEntries: SEARCH_CACHE_MAX_ENTRIES,
+            ttlMs: SEARCH_CACHE_TTL_MS,
+            persistent: !!SEARCH_CACHE_DIR,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+};
+
+// Per-source health tracking and circuit breakers
+// Each source keeps a rolling window of outcomes. After SOURCE_CIRCUIT_FAILURE_THRESHOLD consecutive
+// failures its circuit opens and searches skip it; after SOURCE_CIRCUIT_COOLDOWN_MS one request is
+// let through (half-open) to probe it, closing the circuit on success and re-opening it on failure.
+const SOURCE_HEALTH_WINDOW = parseInt(process.env.SOURCE_HEALTH_WINDOW) || 50;
+const SOURCE_CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.SOURCE_CIRCUIT_FAILURE_THRESHOLD) || 3;
+const SOURCE_CIRCUIT_COOLDOWN_MS = parseInt(process.env.SOURCE_CIRCUIT_COOLDOWN_MS) || 60 * 1000;
+
+const percentile = (values, p) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+const sourceHealth = {
+    states: new Map(),
+
+    get(sourceId) {
+        if (!this.states.has(sourceId)) {
+            this.states.set(sourceId, {
+                samples: [],            // { success, duration, at }
+                consecutiveFailures: 0,
+                lastError: null,
+                lastErrorAt: null,
+                lastSuccessAt: null,
+                circuit: 'closed',      // 'closed', 'open' or 'half-open'
+                openedAt: null,
+                probeInFlight: false
+            });
+        }
+        return this.states.get(sourceId);
+    },
+
+    // Whether a request may be sent to the source right now
+    allowRequest(sourceId) {
+        const state = this.get(sourceId);
+
+        if (state.circuit === 'closed') return true;
+
+        if (state.circuit === 'open' && Date.now() - state.openedAt >= SOURCE_CIRCUIT_COOLDOWN_MS) {
+            state.circuit = 'half-open';
+            log.info(`Circuit for ${sourceId} is half-open, probing`);
+        }
+
+        if (state.circuit === 'half-open' && !state.probeInFlight) {
+            state.probeInFlight = true;
+            return true;
+        }
+
+        return false;
+    },
+
+    addSample(state, sample) {
+        state.samples.push(sample);
+        if (state.samples.length > SOURCE_HEALTH_WINDOW) {
+            state.samples.shift();
+        }
+    },
+
+    recordSuccess(sourceId, duration) {
+        const state = this.get(sourceId);
+        this.addSample(state, { success: true, duration, at: Date.now() });
+        state.consecutiveFailures = 0;
+        state.lastSuccessAt = Date.now();
+        state.probeInFlight = false;
+
+        if (state.circuit !== 'closed') {
+            log.info(`Circuit for ${sourceId} closed after successful probe`);
+            state.circuit = 'closed';
+            state.openedAt = null;
+        }
+    },
+
+    // The call was cancelled by us; only free up a half-open probe
+    recordAbort(sourceId) {
+        this.get(sourceId).probeInFlight = false;
+    },
+
+    recordFailure(sourceId, duration, error) {
+        const state = this.get(sourceId);
+        this.addSample(state, { success: false, duration, at: Date.now() });
+        state.consecutiveFailures++;
+        state.lastError = error?.message || String(error);
+        state.lastErrorAt = Date.now();
+        state.probeInFlight = false;
+
+        if (state.circuit === 'half-open' ||
+            (state.circuit === 'closed' && state.consecutiveFailures >= SOURCE_CIRCUIT_FAILURE_THRESHOLD)) {
+            log.warn(`Circuit for ${sourceId} opened after ${state.consecutiveFailures} consecutive failures`, { lastError: state.lastError });
+            state.circuit = 'open';
+            state.openedAt = Date.now();
+        }
+    },
+
+    report(sourceId) {
+        const state = this.get(sourceId);
+        const durations = state.samples.map(sample => sample.duration);
+        const successes = state.samples.filter(sample => sample.success).length;
+
+        return {
+            circuit: state.circuit,
+            retryAt: state.circuit === 'open' ? new Date(state.openedAt + SOURCE_CIRCUIT_COOLDOWN_MS).toISOString() : null,
+            samples: state.samples.length,
+            successRate: state.samples.length ? Math.round((successes / state.samples.length) * 1000) / 1000 : null,
+            latency: {
+                p50: percentile(durations, 50),
+                p90: percentile(durations, 90),
+                p99: percentile(durations, 99)
+            },
+            consecutiveFailures: state.consecutiveFailures,
+            lastError: state.lastError,
+            lastErrorAt: state.lastErrorAt ? new Date(state.lastErrorAt).toISOString() : null,
+            lastSuccessAt: state.lastSuccessAt ? new Date(state.lastSuccessAt).toISOString() : null
+        };
+    }
+};
+
+// Function to call a source and record the outcome in its health state
+const runTrackedSearch = async (source, query, limit, options = {}) => {
+    const startTime = Date.now();
+    try {
+        const results = await source.search(query, limit, options);
+        sourceHealth.recordSuccess(source.id, Date.now() - startTime);
+        return results;
+    } catch (error) {
+        // Searches we aborted ourselves say nothing about the source's health
+        if (options.signal?.aborted) {
+            sourceHealth.recordAbort(source.id);
+        } else {
+            sourceHealth.recordFailure(source.id, Date.now() - startTime, error);
+        }
+        throw error;
+    }
+};
+
+// Server-side result filters for /api/search, with the same semantics as the UI filters in main.js
+const RESOLUTION_FILTERS = ['small', 'medium', 'large', 'extra-large'];
+const ORIENTATION_FILTERS = ['landscape', 'portrait', 'square'];
+const LICENSE_FILTERS = ['free', 'attribution', 'commercial', 'derivatives', 'no-share-alike'];
+
+// License traits that `excludeLicense` can rule out, checked against the `copyright` attributes
+const LICENSE_EXCLUSIONS = {
+    'share-alike': (copyright) => copyright.shareAlike === true,
+    'no-derivatives': (copyright) => copyright.allowsDerivatives === false,
+    'non-commercial': (copyright) => !copyright.canUseCommercially,
+    'attribution': (copyright) => !!copyright.requiresAttribution
+};
+
+// Sources fetch this many times their share when results are filtered, so a filtered page can still fill up
+const SEARCH_FILTER_OVERFETCH = parseFloat(process.env.SEARCH_FILTER_OVERFETCH) || 2;
+
+// Function to parse filter parameters. Returns { filters } or { error }.
+const parseSearchFilters = ({ sources, minWidth, minHeight, orientation, resolution, license, excludeLicense, color }) => {
+    const filters = {};
+
+    if (sources) {
+        const requested = String(sources).split(',').map(value => value.trim()).filter(Boolean);
+        const unknown = [];
+        filters.sources = [];
+
+        requested.forEach(value => {
+            const source = getSource(value) || getAllSources().find(s => s.name.toLowerCase() === value.toLowerCase());
+            if (!source) {
+                unknown.push(value);
+            } else if (!filters.sources.includes(source.id)) {
+                filters.sources.push(source.id);
+            }
+        });
+
+        if (unknown.length > 0) {
+            return { error: `Unknown source(s): ${unknown.join(', ')}. Available: ${getAllSources().map(s => s.id).join(', ')}` };
+        }
+    }
+
+    if (excludeLicense) {
+        const traits = (Array.isArray(excludeLicense) ? excludeLicense : String(excludeLicense).split(','))
+            .map(value => value.trim())
+            .filter(Boolean);
+        const unknown = traits.filter(trait => !LICENSE_EXCLUSIONS[trait]);
+        if (unknown.length > 0) {
+            return { error: `excludeLicense must be a list of: ${Object.keys(LICENSE_EXCLUSIONS).join(', ')}` };
+        }
+        filters.excludeLicense = traits;
+    }
+
+    for (const [name, value] of [['minWidth', minWidth], ['minHeight', minHeight]]) {
+        if (value === undefined || value === '') continue;
+        const parsed = parseInt(value);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            return { error: `${name} must be a non-negative integer` };
+        }
+        filters[name] = parsed;
+    }
+
+    const choices = [
+        ['orientation', orientation, ORIENTATION_FILTERS],
+        ['resolution', resolution, RESOLUTION_FILTERS],
+        ['license', license, LICENSE_FILTERS],
+        ['color', color, COLOR_FILTERS]
+    ];
+    for (const [name, value, allowed] of choices) {
+        if (!value) continue;
+        if (!allowed.includes(value)) {
+            return { error: `${name} must be one of: ${allowed.join(', ')}` };
         }
+        filters[name] = value;
     }
 
-    return [];
+    return { filters };
 };
 
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
+// Whether any filter is checked against fetched results. `sources` picks what to search and
+// `color` is only applied upstream by sources that support it, so neither needs over-fetching.
+const hasResultFilters = (filters) => Object.keys(filters || {}).some(key => key !== 'sources' && key !== 'color');
 
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+// Filters only a source itself can apply; sources without native support for one that is set are not searched
+const UPSTREAM_ONLY_FILTERS = ['color'];
 
-// Helper function to normalize URLs for comparison
-const normalizeUrlForComparison = (url) => {
-    if (!url) return '';
-    try {
-        return url.toLowerCase()
-            .replace(/^https?:\/\//, '')
-            .replace(/^www\./, '')
-            .replace(/\?.*$/, '')
-            .replace(/&.*$/, '')
-            .replace(/_\d+x\d+\.(jpg|jpeg|png|webp|gif)$/, '.$1')
-            .replace(/\/thumb\/.*?\//, '/')
-            .trim();
-    } catch (e) {
-        return url.toLowerCase();
-    }
-};
+const supportsUpstreamFilters = (source, filters) => UPSTREAM_ONLY_FILTERS.every(name => !filters[name] || source.nativeFilters.includes(name));
 
-// Helper function to calculate similarity between strings
-const calculateStringSimilarity = (str1, str2) => {
-    if (!str1 || !str2) return 0;
+// Function to pick the sources to search: those named in `sources` (or all), minus those that can't apply the filters
+const selectSearchSources = (filters = {}) => getAllSources()
+    .filter(source => !filters.sources || filters.sources.includes(source.id))
+    .filter(source => supportsUpstreamFilters(source, filters));
 
-    const s1 = str1.toLowerCase();
-    const s2 = str2.toLowerCase();
+// Function to name the requested sources left out because they can't apply an upstream-only filter
+const listUnsupportedSources = (filters = {}) => getAllSources()
+    .filter(source => !filters.sources || filters.sources.includes(source.id))
+    .filter(source => !supportsUpstreamFilters(source, filters))
+    .map(source => source.name);
+
+// Function to check one result against the filters
+const matchesFilters = (image, filters) => {
+    if (filters.sources) {
+        const names = filters.sources.map(id => getSource(id)?.name);
+        const imageSources = image.sources || [image.source];
+        if (!imageSources.some(source => names.includes(source))) return false;
+    }
 
-    if (s1 === s2) return 1;
+    if (filters.minWidth && image.width < filters.minWidth) return false;
+    if (filters.minHeight && image.height < filters.minHeight) return false;
 
-    const len1 = s1.length;
-    const len2 = s2.length;
-    const maxLen = Math.max(len1, len2);
+    if (filters.resolution) {
+        const maxDimension = Math.max(image.width, image.height);
+        switch (filters.resolution) {
+            case 'small':
+                if (maxDimension >= 800) return false;
+                break;
+            case 'medium':
+                if (maxDimension < 800 || maxDimension > 1920) return false;
+                break;
+            case 'large':
+                if (maxDimension < 1920 || maxDimension > 4000) return false;
+                break;
+            case 'extra-large':
+                if (maxDimension <= 4000) return false;
+                break;
+        }
+    }
 
-    if (maxLen === 0) return 1;
+    if (filters.orientation) {
+        const aspectRatio = image.width / image.height;
+        switch (filters.orientation) {
+            case 'landscape':
+                if (aspectRatio <= 1.1) return false;
+                break;
+            case 'portrait':
+                if (aspectRatio >= 0.9) return false;
+                break;
+            case 'square':
+                if (aspectRatio < 0.9 || aspectRatio > 1.1) return false;
+                break;
+        }
+    }
 
-    // Simple similarity check for performance
-    let matches = 0;
-    const minLen = Math.min(len1, len2);
+    if (filters.license) {
+        const copyright = image.copyright || {};
+        switch (filters.license) {
+            case 'free':
+                if (copyright.status !== 'free' || !copyright.canUseCommercially) return false;
+                break;
+            case 'attribution':
+                if (!copyright.requiresAttribution) return false;
+                break;
+            case 'commercial':
+                if (!copyright.canUseCommercially) return false;
+                break;
+            case 'derivatives':
+                if (copyright.allowsDerivatives === false) return false;
+                break;
+            case 'no-share-alike':
+                if (copyright.shareAlike) return false;
+                break;
+        }
+    }
 
-    for (let i = 0; i < minLen; i++) {
-        if (s1[i] === s2[i]) matches++;
+    if (filters.excludeLicense) {
+        const copyright = image.copyright || {};
+        if (filters.excludeLicense.some(trait => LICENSE_EXCLUSIONS[trait](copyright))) return false;
     }
 
-    return matches / maxLen;
+    return true;
 };
 
-// Function to execute concurrent searches across all sources
-const executeMultiSourceSearch = async (query, limit) => {
-    const totalSources = 8;
-    const perSourceLimit = Math.ceil(limit / 6);
+// Overall time budget for a multi-source search
+const SEARCH_TIMEOUT_MS = parseInt(process.env.SEARCH_TIMEOUT_MS) || 45000;
+const SEARCH_MAX_TIMEOUT_MS = parseInt(process.env.SEARCH_MAX_TIMEOUT_MS) || 120000;
+
+// Function to execute concurrent searches across all sources.
+// `sourcePages` maps source ids to the page to fetch (from a cursor); without it every source starts at page 1.
+// `filters.sources` restricts the search to those sources; other filters make each source over-fetch.
+// With `useCache` false cached results are ignored, but fresh results still refresh the cache.
+// After `timeoutMs` every unfinished source is aborted and reported as timed out, so the
+// caller gets whatever finished in time. Aborting `signal` (e.g. on client disconnect) stops all sources.
+// Optional callbacks fire as each source starts and finishes, for streaming clients.
+const executeMultiSourceSearch = async (query, limit, {
+    sourcePages = null,
+    filters = {},
+    useCache = true,
+    timeoutMs = SEARCH_TIMEOUT_MS,
+    signal: cancelSignal = null,
+    onSourceStart,
+    onSourceComplete
+} = {}) => {
+    const selectedSources = selectSearchSources(filters);
+    const allSources = sourcePages ? selectedSources.filter(source => sourcePages[source.id]) : selectedSources;
+    const totalSources = allSources.length;
+
+    // Based on the selected sources rather than those left in the cursor, so page sizes stay stable
+    const fetchLimit = hasResultFilters(filters) ? Math.ceil(limit * SEARCH_FILTER_OVERFETCH) : Number(limit);
+    const perSourceLimit = Math.ceil(fetchLimit / Math.min(6, selectedSources.length || 1));
 
     log.info(`Starting equal-priority search for "${query}" with ${perSourceLimit} limit per source`);
+    log.info(`Running concurrent search across ${totalSources} sources with ${perSourceLimit} results each (max ${perSourceLimit * totalSources} total, deadline ${timeoutMs}ms)`);
+
+    const deadlineAt = Date.now() + timeoutMs;
+    const controller = new AbortController();
+    const { signal } = controller;
+    let deadlineExceeded = false;
+    const deadlineTimer = setTimeout(() => {
+        deadlineExceeded = true;
+        controller.abort(new Error(`Search deadline of ${timeoutMs}ms exceeded`));
+    }, timeoutMs);
+    const deadlineReached = new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+
+    const onCancel = () => controller.abort(cancelSignal.reason || new Error('Search cancelled'));
+    if (cancelSignal?.aborted) {
+        onCancel();
+    } else {
+        cancelSignal?.addEventListener('abort', onCancel, { once: true });
+    }
 
-    // Define all sources with per-source allocation
-    const allSources = [
-        { name: 'Pexels', fn: searchPexels, limit: perSourceLimit },
-        { name: 'Pixabay', fn: searchPixabay, limit: perSourceLimit },
-        { name: 'Unsplash', fn: searchUnsplash, limit: perSourceLimit },
-        { name: 'Wikimedia', fn: searchWikimedia, limit: perSourceLimit },
-        { name: 'Google', fn: searchGoogleImages, limit: Math.ceil(limit * 0.3) },
-        { name: 'Bing', fn: searchBingImages, limit: Math.ceil(limit * 0.3) },
-        { name: 'DuckDuckGo', fn: searchDuckDuckGoImages, limit: perSourceLimit }
-    ];
+    const runSource = async (source, sourceLimit, page, startTime) => {
+        // Only the filters this source applies upstream change what it returns
+        const sourceFilters = Object.fromEntries(
+            Object.entries(filters).filter(([name]) => source.nativeFilters.includes(name))
+        );
+        const cacheKey = searchCache.key(source.id, query, sourceLimit, page, sourceFilters);
+        const outcome = (fields) => ({
+            source: source.name,
+            sourceId: source.id,
+            page: page,
+            results: [],
+            duration: Date.now() - startTime,
+            success: false,
+            error: null,
+            skipped: false,
+            timedOut: false,
+            cancelled: false,
+            cached: false,
+            cacheAge: null,
+            ...fields
+        });
+
+        try {
+            const cached = useCache ? await searchCache.get(cacheKey) : null;
+            if (cached) {
+                const cacheAge = Date.now() - cached.storedAt;
+                log.info(`${source.name} served from cache (${Math.round(cacheAge / 1000)}s old): ${cached.results.length} results`);
+                return outcome({ results: cached.results, success: true, cached: true, cacheAge });
+            }
+
+            if (!sourceHealth.allowRequest(source.id)) {
+                log.warn(`Skipping ${source.name}: circuit is open`);
+                return outcome({
+                    duration: 0,
+                    skipped: true,
+                    error: `Circuit open after repeated failures: ${sourceHealth.get(source.id).lastError}`
+                });
+            }
 
-    log.info(`Running concurrent search across ${totalSources} sources with ${perSourceLimit} results each (max ${perSourceLimit * totalSources} total)`);
+            log.info(`Starting ${source.name} search...`);
+            const results = await runTrackedSearch(source, query, sourceLimit, { page, filters: sourceFilters, signal });
+            log.info(`${source.name} completed in ${Date.now() - startTime}ms: ${results.length} results`);
+
+            // Empty results usually mean a missing key or a blocked scraper - don't pin them
+            if (results.length > 0) {
+                await searchCache.set(cacheKey, results);
+            }
+
+            return outcome({ results, success: true });
+        } catch (error) {
+            if (signal.aborted) {
+                log.debug(`${source.name} stopped after abort: ${error.message}`);
+            } else {
+                log.error(`${source.name} search failed after ${Date.now() - startTime}ms:`, error);
+            }
+            return outcome({ error: error.message });
+        }
+    };
 
     // Run all sources concurrently with equal priority
     const searchPromises = allSources.map(async source => {
+        const sourceLimit = source.limitFactor
+            ? Math.max(Math.ceil(fetchLimit * source.limitFactor), perSourceLimit)
+            : perSourceLimit;
+        const page = sourcePages ? sourcePages[source.id] : 1;
         const startTime = Date.now();
-        try {
-            log.info(`Starting ${source.name} search...`);
-            const results = await source.fn(query, source.limit);
-            const duration = Date.now() - startTime;
-            log.info(`${source.name} completed in ${duration}ms: ${results.length} results`);
-            return {
-                source: source.name,
-                results: results,
-                duration: duration,
-                success: true,
-                error: null
-            };
-        } catch (error) {
-            const duration = Date.now() - startTime;
-            log.error(`${source.name} search failed after ${duration}ms:`, error);
-            return {
+
+        if (onSourceStart) onSourceStart(source);
+
+        let outcome = await Promise.race([
+            runSource(source, sourceLimit, page, startTime),
+            deadlineReached.then(() => null)
+        ]);
+
+        if (!outcome) {
+            if (deadlineExceeded) {
+                log.warn(`${source.name} did not finish within ${timeoutMs}ms, aborted`);
+            } else {
+                log.info(`${source.name} cancelled: ${signal.reason?.message}`);
+            }
+            outcome = {
                 source: source.name,
+                sourceId: source.id,
+                page: page,
                 results: [],
-                duration: duration,
+                duration: Date.now() - startTime,
                 success: false,
-                error: error.message
+                error: signal.reason?.message || 'Search aborted',
+                skipped: false,
+                timedOut: deadlineExceeded,
+                cancelled: !deadlineExceeded,
+                cached: false,
+                cacheAge: null
             };
         }
+
+        if (onSourceComplete) {
+            try {
+                onSourceComplete(source, outcome);
+            } catch (error) {
+                log.error(`Source completion handler failed for ${source.name}:`, error);
+            }
+        }
+
+        return outcome;
     });
 
-    // Wait for all searches to complete
+    // Wait for all searches to complete or time out
     const searchResults = await Promise.all(searchPromises);
-    return { searchResults, perSourceLimit, totalSources };
+    clearTimeout(deadlineTimer);
+    cancelSignal?.removeEventListener('abort', onCancel);
+
+    return { searchResults, perSourceLimit, totalSources, timeoutMs, deadlineAt };
 };
 
 // Function to combine and validate search results
-const combineSearchResults = (searchResults) => {
+// `pendingPositions` (from a cursor) limits a source to the positions of its page not yet served.
+const combineSearchResults = (searchResults, pendingPositions = null) => {
     let allResults = [];
     const sourceStats = {};
     const performanceStats = {};
 
     searchResults.forEach(result => {
-        allResults.push(...result.results);
+        // Copies, so cached source results are not modified; `sourceRank` is the position within its source
+        // and `sourcePositions` tracks which raw results an entry stands for once duplicates are merged
+        result.results.forEach((item, index) => {
+            if (isPendingPosition(pendingPositions, result.sourceId, index)) {
+                allResults.push({ ...item, sourceRank: index, sourcePositions: [`${result.sourceId}:${index}`] });
+            }
+        });
         sourceStats[result.source] = result.results.length;
         performanceStats[result.source] = {
             duration: result.duration,
             success: result.success,
             resultCount: result.results.length,
-            error: result.error
+            error: result.error,
+            skipped: result.skipped,
+            timedOut: result.timedOut,
+            cancelled: result.cancelled,
+            cached: result.cached,
+            cacheAge: result.cacheAge
         };
     });
 
-    log.info(`All searches completed. Total raw results: ${allResults.length}`);
-    log.info('Per-source results:', sourceStats);
+    log.info(`All searches completed. Total raw results: ${allResults.length}`);
+    log.info('Per-source results:', sourceStats);
+
+    return { allResults, sourceStats, performanceStats };
+};
+
+// Function to describe one source's copy of an image, so merged results keep every copy
+const toVariant = (result) => ({
+    source: result.source,
+    downloadUrl: result.downloadUrl,
+    url: result.url,
+    sourcePageUrl: result.sourcePageUrl || result.downloadUrl,
+    width: result.width,
+    height: result.height,
+    size: result.size,
+    copyright: result.copyright,
+    photographer: result.photographer
+});
+
+// Function to merge a duplicate (a raw result or an already merged one) into an existing merged result.
+// Returns false when the duplicate adds no new source.
+const mergeDuplicateResult = (existingResult, duplicate) => {
+    existingResult.sourcePositions = [...(existingResult.sourcePositions || []), ...(duplicate.sourcePositions || [])];
+
+    // Keep the duplicate's copies as variants even when it adds no new source
+    (duplicate.variants || [toVariant(duplicate)]).forEach(variant => {
+        if (!existingResult.variants.some(existing => existing.downloadUrl === variant.downloadUrl)) {
+            existingResult.variants.push(variant);
+        }
+    });
+
+    const newSources = (duplicate.sources || [duplicate.source]).filter(source => !existingResult.sources.includes(source));
+    if (newSources.length === 0) return false;
+
+    existingResult.sources.push(...newSources);
+    existingResult.sourceCount = existingResult.sources.length;
+
+    // Update title to reflect multiple sources
+    existingResult.title = `${existingResult.originalTitle} (${existingResult.sources.join(', ')})`;
+
+    // Keep the best quality image URL
+    const currentSize = existingResult.width * existingResult.height;
+    const newSize = duplicate.width * duplicate.height;
+
+    if (newSize > currentSize ||
+        (duplicate.source.includes('Pexels') || duplicate.source.includes('Unsplash') || duplicate.source.includes('Pixabay'))) {
+        existingResult.downloadUrl = duplicate.downloadUrl;
+        existingResult.url = duplicate.url;
+        existingResult.width = duplicate.width;
+        existingResult.height = duplicate.height;
+        existingResult.size = duplicate.size;
+    }
+
+    // Merge copyright info (prefer free licenses)
+    if (duplicate.copyright.status === 'free' && existingResult.copyright.status !== 'free') {
+        existingResult.copyright = duplicate.copyright;
+    }
+
+    // Update photographer info
+    if (duplicate.photographer && duplicate.photographer !== 'Various' && existingResult.photographer === 'Various') {
+        existingResult.photographer = duplicate.photographer;
+    }
+
+    // The best position any source gave this image
+    existingResult.sourceRank = Math.min(existingResult.sourceRank ?? Infinity, duplicate.sourceRank ?? Infinity);
+
+    return true;
+};
+
+// Enhanced deduplication function with fixed logic
+const URL_SIMILARITY_THRESHOLD = 0.9;
+const TITLE_SIMILARITY_THRESHOLD = 0.9;
+
+// Deduplication report for `debug=dedup`: which results were merged into which, by what rule and score
+const createDedupReport = () => {
+    const clusters = new Map(); // Kept result -> duplicates merged into it
+    const dropped = [];
+    const describe = (result) => ({
+        id: result.id,
+        source: result.originalSource || result.source,
+        title: result.originalTitle || result.title,
+        downloadUrl: result.downloadUrl
+    });
+
+    return {
+        // `duplicate` may itself be a kept result (perceptual merges); its own duplicates move along with it
+        record(kept, duplicate, rule, score) {
+            if (!clusters.has(kept)) clusters.set(kept, []);
+            const members = clusters.get(kept);
+            members.push({ ...describe(duplicate), rule, score: Math.round(score * 1000) / 1000 });
+
+            if (clusters.has(duplicate)) {
+                members.push(...clusters.get(duplicate));
+                clusters.delete(duplicate);
+            }
+        },
+
+        drop(result, reason) {
+            dropped.push({ ...describe(result), reason });
+        },
+
+        toJSON() {
+            return {
+                clusters: Array.from(clusters, ([kept, duplicates]) => ({ kept: describe(kept), duplicates })),
+                dropped
+            };
+        }
+    };
+};
+
+// `report` (from createDedupReport) is optional and records every merge
+const deduplicateWithSourceMerging = (allResults, { report = null } = {}) => {
+    log.info('Starting deduplication with source merging...');
+
+    const mergedResults = new Map();
+    const urlToKeyMap = new Map(); // Maps normalized URLs to their Map keys
+    const urlIndex = createTrigramIndex(); // Canonical URLs, for near-duplicate lookups
+    const titleIndexes = new Map(); // Source -> index of that source's titles
+
+    // Process ALL results and merge duplicates
+    for (const result of allResults) {
+        const originalUrl = result.downloadUrl;
+        const normalizedUrl = normalizeUrlForComparison(originalUrl);
+        const normalizedTitle = result.title?.toLowerCase().trim().substring(0, 100) || '';
+        const canonicalUrl = canonicalizeImageUrl(normalizedUrl);
+
+        // Skip if URL is invalid
+        if (!normalizedUrl || normalizedUrl.length < 5) {
+            log.debug(`Skipping invalid URL: ${originalUrl}`);
+            report?.drop(result, 'invalid-url');
+            continue;
+        }
+
+        let foundDuplicate = false;
+        let existingMapKey = null;
+        let matchRule = null;
+        let matchScore = 1;
+
+        // Check for exact URL matches first (fastest and most reliable)
+        if (urlToKeyMap.has(normalizedUrl)) {
+            foundDuplicate = true;
+            existingMapKey = urlToKeyMap.get(normalizedUrl);
+            matchRule = 'exact-url';
+            log.debug(`Found exact URL duplicate: ${normalizedUrl.substring(0, 50)}...`);
+        } else {
+            // Near-duplicate URLs (size suffixes, CDN transforms), found through the trigram index
+            const urlMatch = urlIndex.findSimilar(canonicalUrl, URL_SIMILARITY_THRESHOLD)
+                .find(match => isSameImageUrl(canonicalUrl, match.value, URL_SIMILARITY_THRESHOLD));
+
+            if (urlMatch) {
+                foundDuplicate = true;
+                existingMapKey = urlMatch.key;
+                matchRule = 'url-similarity';
+                matchScore = urlMatch.score;
+                log.debug(`Found URL similarity duplicate: ${urlMatch.score.toFixed(3)} similarity`);
+            } else if (normalizedTitle.length > 15 && titleIndexes.has(result.source)) {
+                // Check title similarity ONLY for same source with very high similarity
+                const titleMatch = titleIndexes.get(result.source).findSimilar(normalizedTitle, TITLE_SIMILARITY_THRESHOLD)
+                    .find(match => haveSameNumericIds(normalizedTitle, match.value));
+
+                if (titleMatch) {
+                    foundDuplicate = true;
+                    existingMapKey = titleMatch.key;
+                    matchRule = 'title-similarity';
+                    matchScore = titleMatch.score;
+                    log.debug(`Found title similarity duplicate: ${titleMatch.score.toFixed(3)} similarity`);
+                }
+            }
+        }
+
+        if (foundDuplicate && existingMapKey) {
+            // Verify the existing result actually exists
+            const existingResult = mergedResults.get(existingMapKey);
+
+            if (existingResult) {
+                report?.record(existingResult, result, matchRule, matchScore);
+
+                // SUCCESSFUL MERGE - Add source if not already present
+                if (mergeDuplicateResult(existingResult, result)) {
+                    log.debug(`✓ MERGED: ${result.source} into existing result. New sources: [${existingResult.sources.join(', ')}]`);
+                } else {
+                    log.debug(`⚠ Duplicate from same source ${result.source} - skipping`);
+                }
+            } else {
+                log.warn(`⚠ Found duplicate but existingMapKey ${existingMapKey} not in Map - adding as new result`);
+                foundDuplicate = false;
+            }
+        }
+
+        if (!foundDuplicate) {
+            // Add as new result
+            const newMapKey = `${result.source}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+            // Map the normalized URL to this key
+            urlToKeyMap.set(normalizedUrl, newMapKey);
+            urlIndex.add(newMapKey, canonicalUrl);
+
+            if (normalizedTitle.length > 15) {
+                if (!titleIndexes.has(result.source)) titleIndexes.set(result.source, createTrigramIndex());
+                titleIndexes.get(result.source).add(newMapKey, normalizedTitle);
+            }
+
+            // Create enhanced result with source tracking
+            const enhancedResult = {
+                ...result,
+                originalTitle: result.title,
+                sources: [result.source],
+                sourceCount: 1,
+                originalSource: result.source,
+                variants: [toVariant(result)]
+            };
+
+            mergedResults.set(newMapKey, enhancedResult);
+            log.debug(`✓ ADDED: New result from ${result.source} (${normalizedUrl.substring(0, 40)}...)`);
+        }
+    }
+
+    const uniqueResults = Array.from(mergedResults.values());
+
+    // Log detailed statistics
+    const sourceCount = {};
+    uniqueResults.forEach(result => {
+        result.sources.forEach(source => {
+            sourceCount[source] = (sourceCount[source] || 0) + 1;
+        });
+    });
+
+    log.info(`Deduplication completed. ${allResults.length} -> ${uniqueResults.length} unique results`);
+    log.info('Final source distribution:', sourceCount);
+    log.info(`Multi-source images: ${uniqueResults.filter(r => r.sourceCount > 1).length}`);
+
+    return uniqueResults;
+};
+
+// Perceptual-hash deduplication.
+// A 64-bit difference hash (dHash) of each thumbnail clusters visually identical images that
+// URL comparison misses, e.g. the same photo on a stock CDN and on a scraped blog mirror.
+const PERCEPTUAL_DEDUP = process.env.PERCEPTUAL_DEDUP === 'true';
+const PERCEPTUAL_HASH_THRESHOLD = parseInt(process.env.PERCEPTUAL_HASH_THRESHOLD) || 6; // Max differing bits of 64
+const PERCEPTUAL_HASH_CONCURRENCY = parseInt(process.env.PERCEPTUAL_HASH_CONCURRENCY) || 8;
+const PERCEPTUAL_HASH_TIMEOUT_MS = parseInt(process.env.PERCEPTUAL_HASH_TIMEOUT_MS) || 5000;
+const PERCEPTUAL_HASH_CACHE_SIZE = 5000;
+
+// Function to run `worker` over `items` with at most `concurrency` calls in flight
+const mapWithConcurrency = async (items, concurrency, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runNext = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+    return results;
+};
+
+// Function to run `worker(item, signal)` like mapWithConcurrency, but only until `deadlineAt` (a timestamp).
+// Items still running or not started by then map to `fallback` and are counted in `skipped`; aborting
+// `signal` (the client going away) still rejects.
+const mapWithinDeadline = async (items, concurrency, { deadlineAt, signal, fallback = null }, worker) => {
+    const controller = new AbortController();
+    const onCancel = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+        onCancel();
+    } else {
+        signal?.addEventListener('abort', onCancel, { once: true });
+    }
+
+    const timer = Number.isFinite(deadlineAt)
+        ? setTimeout(() => controller.abort(new Error('Search deadline exceeded')), Math.max(0, deadlineAt - Date.now()))
+        : null;
+
+    let skipped = 0;
+    try {
+        const results = await mapWithConcurrency(items, concurrency, async (item) => {
+            try {
+                if (!controller.signal.aborted) return await worker(item, controller.signal);
+            } catch (error) {
+                if (signal?.aborted || !controller.signal.aborted) throw error;
+            }
+            if (signal?.aborted) throw signal.reason;
+            skipped++;
+            return fallback;
+        });
+        return { results, skipped };
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onCancel);
+    }
+};
+
+// The original thumbnail URL behind a result's (usually proxied) `url`
+const getThumbnailUrl = (result) => {
+    if (!result.url) return null;
+    if (/^https?:\/\//.test(result.url)) return result.url;
+
+    try {
+        const proxied = new URL(result.url, 'http://localhost').searchParams.get('url');
+        return proxied && /^https?:\/\//.test(proxied) ? proxied : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const perceptualHasher = {
+    // Thumbnail URL -> hex hash (or null when the thumbnail could not be decoded), LRU-ordered
+    hashes: new Map(),
+
+    // Function to compute the dHash of an image: shrink to 9x8 greyscale and compare neighbouring pixels
+    async hashImage(buffer) {
+        const pixels = await sharp(buffer)
+            .greyscale()
+            .resize(9, 8, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+
+        let hash = 0n;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+            }
+        }
+        return hash.toString(16).padStart(16, '0');
+    },
+
+    async hashUrl(url, signal) {
+        if (this.hashes.has(url)) {
+            const hash = this.hashes.get(url);
+            this.hashes.delete(url);
+            this.hashes.set(url, hash);
+            return hash;
+        }
+
+        let response;
+        try {
+            assertPublicUrl(url);
+            response = await axios.get(url, {
+                responseType: 'arraybuffer',
+                headers: {
+                    'User-Agent': getRandomUserAgent(),
+                    'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8'
+                },
+                timeout: PERCEPTUAL_HASH_TIMEOUT_MS,
+                maxContentLength: 5 * 1024 * 1024,
+                signal,
+                ...guardedRequestOptions
+            });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            // Not cached: the thumbnail may well load next time
+            log.debug(`Perceptual hash fetch failed for ${url.substring(0, 80)}: ${error.message}`);
+            return null;
+        }
+
+        // Thumbnails that can't be decoded are remembered as null so they aren't downloaded again
+        let hash = null;
+        try {
+            hash = await this.hashImage(Buffer.from(response.data));
+        } catch (error) {
+            log.debug(`Perceptual hash failed for ${url.substring(0, 80)}: ${error.message}`);
+        }
+
+        this.hashes.set(url, hash);
+        if (this.hashes.size > PERCEPTUAL_HASH_CACHE_SIZE) {
+            this.hashes.delete(this.hashes.keys().next().value);
+        }
+        return hash;
+    },
 
-    return { allResults, sourceStats, performanceStats };
+    distance(a, b) {
+        let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+        let bits = 0;
+        while (diff) {
+            bits += Number(diff & 1n);
+            diff >>= 1n;
+        }
+        return bits;
+    }
 };
 
-// Enhanced deduplication function with fixed logic
-const deduplicateWithSourceMerging = (allResults) => {
-    log.info('Starting deduplication with source merging...');
+// Function to merge results whose thumbnails hash within `threshold` bits of each other.
+// Each result is compared with the cluster heads kept so far, so merged results keep the
+// usual `sources`/`sourceCount` semantics. Thumbnails not hashed by `deadlineAt` are left unmerged.
+const deduplicatePerceptually = async (results, { threshold = PERCEPTUAL_HASH_THRESHOLD, signal, deadlineAt, report = null } = {}) => {
+    const startTime = Date.now();
 
-    const mergedResults = new Map();
-    const urlToKeyMap = new Map(); // Maps normalized URLs to their Map keys
+    const { results: hashes, skipped } = await mapWithinDeadline(results, PERCEPTUAL_HASH_CONCURRENCY, { deadlineAt, signal }, (result, hashSignal) => {
+        const thumbnailUrl = getThumbnailUrl(result);
+        return thumbnailUrl ? perceptualHasher.hashUrl(thumbnailUrl, hashSignal) : null;
+    });
+    results.forEach((result, index) => {
+        result.perceptualHash = hashes[index];
+    });
 
-    // Process ALL results and merge duplicates
-    for (const result of allResults) {
-        const originalUrl = result.downloadUrl;
-        const normalizedUrl = normalizeUrlForComparison(originalUrl);
-        const normalizedTitle = result.title?.toLowerCase().trim().substring(0, 100) || '';
+    const clusters = [];
+    let merged = 0;
 
-        // Skip if URL is invalid
-        if (!normalizedUrl || normalizedUrl.length < 5) {
-            log.debug(`Skipping invalid URL: ${originalUrl}`);
-            continue;
+    for (const result of results) {
+        let distance = null;
+        const head = result.perceptualHash && clusters.find(cluster => {
+            if (!cluster.perceptualHash) return false;
+            distance = perceptualHasher.distance(cluster.perceptualHash, result.perceptualHash);
+            return distance <= threshold;
+        });
+
+        if (head) {
+            report?.record(head, result, 'perceptual-hash', 1 - distance / 64);
+            mergeDuplicateResult(head, result);
+            merged++;
+            log.debug(`Perceptual duplicate: "${result.title}" merged into "${head.originalTitle}"`);
+        } else {
+            clusters.push(result);
         }
+    }
+
+    const stats = {
+        threshold,
+        hashed: results.filter(result => result.perceptualHash).length,
+        skipped,
+        merged,
+        duration: Date.now() - startTime
+    };
+    log.info(`Perceptual deduplication: ${results.length} -> ${clusters.length} results`, stats);
+
+    return { results: clusters, stats };
+};
 
-        if (result.source == 'Google Images') {
-            log.info(`Processing Google Images result: originalUrl = ${originalUrl}, title = ${result.title}, normalizedUrl = ${normalizedUrl}`);
+// Image verification.
+// Fetches only the first few KB of each result's image to read its real format and dimensions
+// from the file header, and its byte size from Content-Range/Content-Length. Results whose URL
+// is unreachable or does not serve an image are dropped.
+const VERIFY_IMAGES = process.env.VERIFY_IMAGES === 'true';
+const VERIFY_CONCURRENCY = parseInt(process.env.VERIFY_CONCURRENCY) || 8;
+const VERIFY_TIMEOUT_MS = parseInt(process.env.VERIFY_TIMEOUT_MS) || 5000;
+const VERIFY_HEADER_BYTES = parseInt(process.env.VERIFY_HEADER_BYTES) || 64 * 1024;
+const VERIFY_CACHE_SIZE = 5000;
+
+const JPEG_SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+// Function to read format and dimensions from the start of an image file. Returns null if unrecognized.
+const parseImageHeader = (buffer) => {
+    try {
+        // PNG: signature, then the IHDR chunk
+        if (buffer.readUInt32BE(0) === 0x89504E47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+            return { format: 'png', mimeType: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
         }
 
-        let foundDuplicate = false;
-        let existingMapKey = null;
+        // GIF: logical screen size right after the version
+        if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') {
+            return { format: 'gif', mimeType: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        }
 
-        // Check for exact URL matches first (fastest and most reliable)
-        if (urlToKeyMap.has(normalizedUrl)) {
-            foundDuplicate = true;
-            existingMapKey = urlToKeyMap.get(normalizedUrl);
-            if (result.source == 'Google Images') {
-                log.info(`URL duplicate for Google Image, title: ${result.title}`);
+        // WebP: RIFF container with a lossy, lossless or extended first chunk
+        if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+            const chunk = buffer.toString('ascii', 12, 16);
+            const webp = { format: 'webp', mimeType: 'image/webp' };
+            if (chunk === 'VP8 ') {
+                return { ...webp, width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
             }
-            log.debug(`Found exact URL duplicate: ${normalizedUrl.substring(0, 50)}...`);
-        } else {
-            // Check for similar URLs and titles - ONLY for very high similarity
-            for (const [existingNormalizedUrl, existingMapKey_] of urlToKeyMap) {
-                if (foundDuplicate) break;
-
-                const existingResult = mergedResults.get(existingMapKey_);
-                if (!existingResult) continue;
+            if (chunk === 'VP8L') {
+                const bits = buffer.readUInt32LE(21);
+                return { ...webp, width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+            }
+            if (chunk === 'VP8X') {
+                return { ...webp, width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+            }
+            return null;
+        }
 
-                // Only check URL similarity if URLs are very similar (high threshold)
-                const urlSimilarity = calculateStringSimilarity(normalizedUrl, existingNormalizedUrl);
-                if (urlSimilarity > 0.95) {
-                    foundDuplicate = true;
-                    existingMapKey = existingMapKey_;
+        // AVIF: ISO-BMFF `ftyp` box with an AVIF brand; size is in the `ispe` property box
+        if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+            const ftypSize = buffer.readUInt32BE(0);
+            const brands = buffer.toString('ascii', 8, Math.min(ftypSize, buffer.length));
+            if (!brands.includes('avif') && !brands.includes('avis')) return null;
 
-                    if (result.source == 'Google Images') {
-                        log.info(`URL similarity for Google Image, title: ${result.title}`);
-                    }
-                    log.debug(`Found URL similarity duplicate: ${urlSimilarity.toFixed(3)} similarity`);
-                    break;
-                }
+            const ispe = buffer.indexOf('ispe');
+            if (ispe === -1) return null;
+            return { format: 'avif', mimeType: 'image/avif', width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) };
+        }
 
-                // Check title similarity ONLY for same source with very high similarity
-                if (result.source === existingResult.originalSource &&
-                    normalizedTitle && existingResult.title &&
-                    normalizedTitle.length > 15 && existingResult.title.length > 15) {
-
-                    const existingNormalizedTitle = existingResult.title.toLowerCase().trim().substring(0, 100);
-                    const titleSimilarity = calculateStringSimilarity(normalizedTitle, existingNormalizedTitle);
-                    if (titleSimilarity > 0.95) {
-                        if (result.source == 'Google Images') {
-                            log.info(`Title similarity for Google Image, title: "${result.title}" ~ "${existingResult.title}" (${titleSimilarity.toFixed(3)})`);
-                        }
+        // JPEG: walk the segments up to the first start-of-frame marker
+        if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+            let offset = 2;
+            while (offset + 9 < buffer.length) {
+                if (buffer[offset] !== 0xFF) return null;
 
-                        foundDuplicate = true;
-                        existingMapKey = existingMapKey_;
-                        log.debug(`Found title similarity duplicate: ${titleSimilarity.toFixed(3)} similarity`);
-                        break;
-                    }
+                const marker = buffer[offset + 1];
+                if (marker === 0xFF) {
+                    offset++; // Fill byte
+                    continue;
+                }
+                if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+                    offset += 2; // Markers without a length
+                    continue;
+                }
+                if (JPEG_SOF_MARKERS.has(marker)) {
+                    return { format: 'jpeg', mimeType: 'image/jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
                 }
+                offset += 2 + buffer.readUInt16BE(offset + 2);
             }
         }
+    } catch (error) {
+        // Truncated header (RangeError)
+    }
+
+    return null;
+};
+
+const imageProbe = {
+    // URL -> probe result, LRU-ordered
+    results: new Map(),
+
+    // Function to fetch the first VERIFY_HEADER_BYTES of an image.
+    // Returns { ok: true, format, mimeType, width, height, bytes } or { ok: false, reason }.
+    async probe(url, signal) {
+        if (this.results.has(url)) {
+            const cached = this.results.get(url);
+            this.results.delete(url);
+            this.results.set(url, cached);
+            return cached;
+        }
 
-        if (foundDuplicate && existingMapKey) {
-            // Verify the existing result actually exists
-            const existingResult = mergedResults.get(existingMapKey);
+        let result;
+        try {
+            assertPublicUrl(url);
+            const axiosInstance = createAxiosWithSSLFallback(url);
+            const response = await axiosInstance.get(url, {
+                responseType: 'stream',
+                headers: {
+                    'User-Agent': getRandomUserAgent(),
+                    'Accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
+                    'Range': `bytes=0-${VERIFY_HEADER_BYTES - 1}`
+                },
+                timeout: VERIFY_TIMEOUT_MS,
+                signal,
+                ...guardedRequestOptions
+            });
 
-            if (existingResult) {
-                // SUCCESSFUL MERGE - Add source if not already present
-                if (!existingResult.sources.includes(result.source)) {
-                    existingResult.sources.push(result.source);
-                    existingResult.sourceCount = existingResult.sources.length;
-
-                    // Update title to reflect multiple sources
-                    existingResult.title = `${existingResult.originalTitle} (${existingResult.sources.join(', ')})`;
-
-                    // Keep the best quality image URL
-                    const currentSize = existingResult.width * existingResult.height;
-                    const newSize = result.width * result.height;
-
-                    if (newSize > currentSize ||
-                        (result.source.includes('Pexels') || result.source.includes('Unsplash') || result.source.includes('Pixabay'))) {
-                        existingResult.downloadUrl = originalUrl;
-                        existingResult.url = result.url;
-                        existingResult.width = result.width;
-                        existingResult.height = result.height;
-                        existingResult.size = result.size;
+            const header = await new Promise((resolve, reject) => {
+                const chunks = [];
+                let length = 0;
+                const stream = response.data;
+
+                stream.on('data', chunk => {
+                    chunks.push(chunk);
+                    length += chunk.length;
+                    // Servers that ignore Range send the whole file; stop once the header is in
+                    if (length >= VERIFY_HEADER_BYTES) {
+                        stream.destroy();
+                        resolve(Buffer.concat(chunks));
                     }
+                });
+                stream.on('end', () => resolve(Buffer.concat(chunks)));
+                stream.on('close', () => resolve(Buffer.concat(chunks)));
+                stream.on('error', reject);
+            });
 
-                    // Merge copyright info (prefer free licenses)
-                    if (result.copyright.status === 'free' && existingResult.copyright.status !== 'free') {
-                        existingResult.copyright = result.copyright;
-                    }
+            // Total size: "bytes 0-65535/1234567" for partial responses, Content-Length otherwise
+            const contentRange = response.headers['content-range'];
+            const bytes = contentRange
+                ? parseInt(contentRange.split('/')[1]) || null
+                : parseInt(response.headers['content-length']) || null;
 
-                    // Update photographer info
-                    if (result.photographer && result.photographer !== 'Various' && existingResult.photographer === 'Various') {
-                        existingResult.photographer = result.photographer;
-                    }
+            const contentType = String(response.headers['content-type'] || '').split(';')[0].trim();
+            const parsed = parseImageHeader(header);
 
-                    log.debug(`✓ MERGED: ${result.source} into existing result. New sources: [${existingResult.sources.join(', ')}]`);
-                } else {
-                    log.debug(`⚠ Duplicate from same source ${result.source} - skipping`);
-                }
+            if (parsed) {
+                result = { ok: true, ...parsed, bytes };
+            } else if (contentType.startsWith('image/')) {
+                // An image we cannot read the size of (e.g. SVG or a very large JPEG header)
+                result = { ok: true, format: null, mimeType: contentType, width: null, height: null, bytes };
             } else {
-                log.warn(`⚠ Found duplicate but existingMapKey ${existingMapKey} not in Map - adding as new result`);
-                foundDuplicate = false;
+                result = { ok: false, reason: 'not-an-image' };
             }
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            result = { ok: false, reason: 'unreachable' };
+            log.debug(`Image probe failed for ${url.substring(0, 80)}: ${error.message}`);
         }
 
-        if (!foundDuplicate) {
-            // Add as new result
-            const newMapKey = `${result.source}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.results.set(url, result);
+        if (this.results.size > VERIFY_CACHE_SIZE) {
+            this.results.delete(this.results.keys().next().value);
+        }
+        return result;
+    }
+};
 
-            // Map the normalized URL to this key
-            urlToKeyMap.set(normalizedUrl, newMapKey);
+// Function to probe a result's image. When the kept copy of a merged result fails, its other variants
+// are tried in order and the first one that loads is returned as `promoted`, with the failed URLs in `deadUrls`.
+const probeResult = async (result, signal) => {
+    const probe = await imageProbe.probe(result.downloadUrl, signal);
+    if (probe.ok || !result.variants) return { probe };
 
-            // Create enhanced result with source tracking
-            const enhancedResult = {
-                ...result,
-                originalTitle: result.title,
-                sources: [result.source],
-                sourceCount: 1,
-                originalSource: result.source
-            };
+    const deadUrls = [result.downloadUrl];
+    for (const variant of result.variants) {
+        if (deadUrls.includes(variant.downloadUrl)) continue;
 
-            mergedResults.set(newMapKey, enhancedResult);
-            log.debug(`✓ ADDED: New result from ${result.source} (${normalizedUrl.substring(0, 40)}...)`);
-        }
+        const variantProbe = await imageProbe.probe(variant.downloadUrl, signal);
+        if (variantProbe.ok) return { probe: variantProbe, promoted: variant, deadUrls };
+        deadUrls.push(variant.downloadUrl);
     }
 
-    const uniqueResults = Array.from(mergedResults.values());
+    return { probe };
+};
 
-    // Log detailed statistics
-    const sourceCount = {};
-    uniqueResults.forEach(result => {
-        result.sources.forEach(source => {
-            sourceCount[source] = (sourceCount[source] || 0) + 1;
-        });
+// Function to replace guessed dimensions and sizes with probed ones and drop results that are not images.
+// A merged result whose kept copy fails switches to the first variant that loads and loses the dead ones;
+// it is only dropped when every variant fails. Dropped results are recorded in the dedup report, when there is one.
+// Results not probed by `deadlineAt` are kept as they are.
+const verifyResults = async (results, { signal, deadlineAt, report = null } = {}) => {
+    const startTime = Date.now();
+
+    const { results: outcomes, skipped } = await mapWithinDeadline(results, VERIFY_CONCURRENCY, { deadlineAt, signal }, probeResult);
+
+    const verified = [];
+    let promotedCount = 0;
+    results.forEach((result, index) => {
+        const outcome = outcomes[index];
+        if (!outcome) {
+            verified.push(result);
+            return;
+        }
+
+        const { probe, promoted, deadUrls } = outcome;
+        if (!probe.ok) {
+            report?.drop(result, probe.reason);
+            return;
+        }
+
+        if (promoted) {
+            Object.assign(result, {
+                source: promoted.source,
+                downloadUrl: promoted.downloadUrl,
+                url: promoted.url,
+                sourcePageUrl: promoted.sourcePageUrl,
+                width: promoted.width,
+                height: promoted.height,
+                size: promoted.size
+            });
+            result.variants = result.variants.filter(variant => !deadUrls.includes(variant.downloadUrl));
+            promotedCount++;
+        }
+
+        if (probe.width && probe.height) {
+            result.width = probe.width;
+            result.height = probe.height;
+            result.verified = true;
+        } else {
+            result.verified = false;
+        }
+        if (probe.bytes) {
+            result.size = formatFileSize(probe.bytes);
+        }
+        result.mimeType = probe.mimeType;
+
+        // The variant for the probed copy gets the same corrections
+        const variant = result.variants?.find(item => item.downloadUrl === result.downloadUrl);
+        if (variant) {
+            Object.assign(variant, { width: result.width, height: result.height, size: result.size });
+        }
+
+        verified.push(result);
     });
 
-    log.info(`Deduplication completed. ${allResults.length} -> ${uniqueResults.length} unique results`);
-    log.info('Final source distribution:', sourceCount);
-    log.info(`Multi-source images: ${uniqueResults.filter(r => r.sourceCount > 1).length}`);
+    const stats = {
+        checked: results.length,
+        verified: verified.filter(result => result.verified).length,
+        promoted: promotedCount,
+        skipped,
+        dropped: results.length - verified.length,
+        duration: Date.now() - startTime
+    };
+    log.info(`Image verification: ${results.length} -> ${verified.length} results`, stats);
 
-    return uniqueResults;
+    return { results: verified, stats };
 };
 
-// Function to add encrypted IDs and final processing
-const finalizeResults = (results) => {
+// Function to add encrypted viewer IDs to results
+const addHashedIds = (results) => {
     results.forEach(result => {
         // Add hashed ID for viewer
         result.hashedId = encryptImageData({
             id: result.id,
-            title: result.title,
+            // Without the "(Source, Source)" suffix merged results get, for credits and file names
+            title: result.originalTitle || result.title,
             url: result.url,
             downloadUrl: result.downloadUrl,
             sourcePageUrl: result.sourcePageUrl || result.downloadUrl,
             source: result.source,
             width: result.width,
             height: result.height,
-            photographer: result.photographer
+            photographer: result.photographer,
+            license: result.copyright?.license,
+            licenseId: result.copyright?.id,
+            licenseUrl: result.copyright?.licenseUrl,
+            // Only merged images need their variants in the viewer; this keeps single-source ids short
+            variants: result.variants?.length > 1
+                ? result.variants.map(variant => ({
+                    source: variant.source,
+                    downloadUrl: variant.downloadUrl,
+                    url: variant.url,
+                    sourcePageUrl: variant.sourcePageUrl,
+                    width: variant.width,
+                    height: variant.height,
+                    license: variant.copyright?.license,
+                    licenseId: variant.copyright?.id,
+                    licenseUrl: variant.copyright?.licenseUrl,
+                    photographer: variant.photographer
+                }))
+                : undefined
+        });
+    });
+
+    return results;
+};
+
+// Result ordering
+const SORT_OPTIONS = ['relevance', 'resolution', 'newest', 'interleaved', 'random'];
+
+// Weights of the relevance signals, each scored from 0 to 1
+const RELEVANCE_WEIGHTS = {
+    rank: 0.3,          // Position in the source's own ranking
+    text: 0.3,          // Query terms found in the title and tags
+    resolution: 0.15,
+    license: 0.1,       // How freely the image can be used
+    agreement: 0.15     // Number of sources that returned the image
+};
+
+// Stable pseudo-random number in [0, 1) for a result, so ties and `random` order repeat for the same seed
+const seededRandom = (seed, result) => {
+    const digest = crypto.createHash('sha1').update(`${seed}:${result.id}:${result.downloadUrl}`).digest();
+    return digest.readUInt32BE(0) / 0x100000000;
+};
+
+const tokenize = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const licenseOpenness = (copyright = {}) => {
+    if (copyright.status === 'free' && copyright.canUseCommercially && !copyright.requiresAttribution) return 1;
+    if (copyright.status === 'free' && copyright.canUseCommercially) return 0.75;
+    if (copyright.canUseCommercially) return 0.5;
+    if (copyright.status === 'free') return 0.25;
+    return 0;
+};
+
+// Function to score how well a result matches the query, from 0 to 1
+const scoreResult = (result, queryTerms) => {
+    const rank = 1 / (1 + (result.sourceRank ?? 0) / 10);
+
+    const words = new Set([
+        ...tokenize(result.originalTitle || result.title),
+        ...(result.tags || []).flatMap(tokenize)
+    ]);
+    const text = queryTerms.length > 0
+        ? queryTerms.filter(term => words.has(term)).length / queryTerms.length
+        : 0;
+
+    // Log scale, topping out at 12 megapixels
+    const pixels = (result.width || 0) * (result.height || 0);
+    const resolution = pixels > 1 ? Math.min(1, Math.log(pixels) / Math.log(12e6)) : 0;
+
+    const agreement = Math.min(1, ((result.sourceCount || 1) - 1) / 2);
+
+    return RELEVANCE_WEIGHTS.rank * rank +
+        RELEVANCE_WEIGHTS.text * text +
+        RELEVANCE_WEIGHTS.resolution * resolution +
+        RELEVANCE_WEIGHTS.license * licenseOpenness(result.copyright) +
+        RELEVANCE_WEIGHTS.agreement * agreement;
+};
+
+// Round-robin over the sources, each in its own ranking order
+const interleaveBySource = (results) => {
+    const bySource = new Map();
+    [...results]
+        .sort((a, b) => (a.sourceRank ?? 0) - (b.sourceRank ?? 0))
+        .forEach(result => {
+            const source = result.originalSource || result.source;
+            if (!bySource.has(source)) bySource.set(source, []);
+            bySource.get(source).push(result);
         });
+
+    const queues = Array.from(bySource.values());
+    const interleaved = [];
+    for (let i = 0; interleaved.length < results.length; i++) {
+        queues.forEach(queue => {
+            if (i < queue.length) interleaved.push(queue[i]);
+        });
+    }
+    return interleaved;
+};
+
+// Function to order results. Ties always fall back to relevance, then to the seed.
+const sortResults = (results, { query = '', sort = 'relevance', seed = '' } = {}) => {
+    const queryTerms = tokenize(query);
+    results.forEach(result => {
+        result.relevance = Math.round(scoreResult(result, queryTerms) * 1000) / 1000;
     });
 
-    // Shuffle results to ensure fair mixing of sources
-    for (let i = results.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [results[i], results[j]] = [results[j], results[i]];
+    if (sort === 'interleaved') {
+        return interleaveBySource(results);
     }
 
-    return results;
+    const tieBreak = (a, b) => (b.relevance - a.relevance) || (seededRandom(seed, a) - seededRandom(seed, b));
+    const published = (result) => (result.publishedAt ? Date.parse(result.publishedAt) || 0 : 0);
+
+    const comparators = {
+        relevance: tieBreak,
+        resolution: (a, b) => (b.width * b.height - a.width * a.height) || tieBreak(a, b),
+        newest: (a, b) => (published(b) - published(a)) || tieBreak(a, b),
+        random: (a, b) => seededRandom(seed, a) - seededRandom(seed, b)
+    };
+
+    return results.sort(comparators[sort] || comparators.relevance);
+};
+
+// Function to add encrypted IDs and final processing
+const finalizeResults = (results, sortOptions = {}) => {
+    addHashedIds(results);
+    signResultUrls(results);
+    return sortResults(results, sortOptions);
 };
 
 // Function to generate search summary and statistics
@@ -1707,9 +4380,10 @@ const generateSearchSummary = (query, finalResults, allResults, uniqueResults, p
         finalStats[result.source] = (finalStats[result.source] || 0) + 1;
     });
 
-    // Calculate total search time
-    const totalSearchTime = Math.max(...Object.values(performanceStats).map(s => s.duration));
-    const avgSearchTime = Object.values(performanceStats).reduce((sum, s) => sum + s.duration, 0) / totalSources;
+    // Calculate total search time (0 when no source was searched)
+    const durations = Object.values(performanceStats).map(s => s.duration);
+    const totalSearchTime = durations.length > 0 ? Math.max(...durations) : 0;
+    const avgSearchTime = totalSources > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / totalSources : 0;
 
     return {
         total: finalResults.length,
@@ -1724,6 +4398,10 @@ const generateSearchSummary = (query, finalResults, allResults, uniqueResults, p
             perSourceLimit: perSourceLimit
         },
         sourceDetails: performanceStats,
+        cache: {
+            sourcesFromCache: Object.keys(performanceStats).filter(source => performanceStats[source].cached),
+            ttlMs: SEARCH_CACHE_TTL_MS
+        },
         deduplication: {
             beforeDedup: allResults.length,
             afterDedup: uniqueResults.length,
@@ -1734,79 +4412,420 @@ const generateSearchSummary = (query, finalResults, allResults, uniqueResults, p
     };
 };
 
+// Pagination cursors are opaque base64url JSON: query, limit, page number and the next page per source.
+// Sources that returned nothing are dropped (unless they timed out), so later pages only hit sources with more results.
+// A source with filtered matches that didn't fit under `limit` stays on its page, with the positions still to
+// serve in `k`, so the overflow shows up on the next page instead of being skipped.
+const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+// Largest `limit` a search accepts (as documented); cursors carrying anything else are rejected
+const SEARCH_MAX_LIMIT = 200;
+
+const decodeCursor = (cursor) => {
+    try {
+        const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!state || typeof state.q !== 'string' || !state.s || typeof state.s !== 'object') {
+            return null;
+        }
+
+        if (!Number.isInteger(state.l) || state.l < 1 || state.l > SEARCH_MAX_LIMIT) return null;
+        if (!Number.isInteger(state.p) || state.p < 1) return null;
+
+        const sourcePages = {};
+        for (const [id, page] of Object.entries(state.s)) {
+            if (getSource(id) && Number.isInteger(page) && page >= 1) {
+                sourcePages[id] = page;
+            }
+        }
+
+        if (Object.keys(sourcePages).length === 0) return null;
+
+        const pendingPositions = {};
+        Object.entries(state.k && typeof state.k === 'object' ? state.k : {}).forEach(([id, positions]) => {
+            if (sourcePages[id] && Array.isArray(positions) && positions.every(position => Number.isInteger(position) && position >= 0)) {
+                pendingPositions[id] = positions;
+            }
+        });
+
+        return { ...state, s: sourcePages, k: pendingPositions };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Function to check whether a source's raw result at `index` is still to be served
+const isPendingPosition = (pendingPositions, sourceId, index) => !pendingPositions?.[sourceId] || pendingPositions[sourceId].includes(index);
+
+// `overflow` are the results that matched the filters but were cut by `limit`
+const buildNextCursor = (query, limit, page, searchResults, { filters = {}, sort, seed, pendingPositions = null, overflow = [] } = {}) => {
+    const overflowPositions = {};
+    overflow.forEach(result => (result.sourcePositions || []).forEach(position => {
+        const separator = position.lastIndexOf(':');
+        const sourceId = position.slice(0, separator);
+        (overflowPositions[sourceId] = overflowPositions[sourceId] || []).push(Number(position.slice(separator + 1)));
+    }));
+
+    const sourcePages = {};
+    const nextPending = {};
+    searchResults.forEach(result => {
+        if (overflowPositions[result.sourceId]) {
+            // Only move on once every match from this page has been served
+            sourcePages[result.sourceId] = result.page;
+            nextPending[result.sourceId] = overflowPositions[result.sourceId].sort((a, b) => a - b);
+        } else if (result.results.length > 0) {
+            sourcePages[result.sourceId] = result.page + 1;
+        } else if (result.timedOut) {
+            // Give sources that ran out of time another go at the same page
+            sourcePages[result.sourceId] = result.page;
+            if (pendingPositions?.[result.sourceId]) {
+                nextPending[result.sourceId] = pendingPositions[result.sourceId];
+            }
+        }
+    });
+
+    if (Object.keys(sourcePages).length === 0) return null;
+
+    return encodeCursor({ q: query, l: Number(limit), p: page + 1, s: sourcePages, k: nextPending, f: filters, o: sort, r: seed });
+};
+
+// Extra diagnostics that can be requested with `debug=<mode>[,<mode>]`
+const DEBUG_MODES = ['dedup'];
+
+// Function to resolve search parameters from a request, either fresh or continued from a cursor
+const resolveSearchParams = ({ query, limit = 100, cursor, cache, timeoutMs, sort, seed, perceptual, verify, debug, ...filterParams }) => {
+    const useCache = cache !== 'false' && cache !== '0';
+    const perceptualDedup = perceptual === undefined ? PERCEPTUAL_DEDUP : perceptual === 'true' || perceptual === '1';
+    const verifyImages = verify === undefined ? VERIFY_IMAGES : verify === 'true' || verify === '1';
+
+    const debugModes = debug ? String(debug).split(',').map(mode => mode.trim()).filter(Boolean) : [];
+    const unknownDebug = debugModes.filter(mode => !DEBUG_MODES.includes(mode));
+    if (unknownDebug.length > 0) {
+        return { error: `Unknown debug mode(s): ${unknownDebug.join(', ')}. Available: ${DEBUG_MODES.join(', ')}` };
+    }
+
+    if (sort !== undefined && !SORT_OPTIONS.includes(sort)) {
+        return { error: `sort must be one of: ${SORT_OPTIONS.join(', ')}` };
+    }
+    if (seed !== undefined && String(seed).length > 100) {
+        return { error: 'seed must be at most 100 characters' };
+    }
+
+    let deadline = SEARCH_TIMEOUT_MS;
+    if (timeoutMs !== undefined) {
+        deadline = parseInt(timeoutMs);
+        if (!Number.isInteger(deadline) || deadline <= 0) {
+            return { error: 'timeoutMs must be a positive number of milliseconds' };
+        }
+        deadline = Math.min(deadline, SEARCH_MAX_TIMEOUT_MS);
+    }
+
+    if (!cursor) {
+        if (!query) {
+            return { error: 'Query parameter is required' };
+        }
+
+        const { filters, error } = parseSearchFilters(filterParams);
+        if (error) {
+            return { error };
+        }
+
+        if (selectSearchSources(filters).length === 0) {
+            return { error: `None of the requested sources can filter by color: ${listUnsupportedSources(filters).join(', ')}` };
+        }
+
+        return {
+            query,
+            limit,
+            page: 1,
+            sourcePages: null,
+            pendingPositions: null,
+            filters,
+            sort: sort || 'relevance',
+            seed: seed ?? '',
+            perceptual: perceptualDedup,
+            verify: verifyImages,
+            debug: debugModes,
+            useCache,
+            timeoutMs: deadline
+        };
+    }
+
+    const state = decodeCursor(cursor);
+    if (!state) {
+        return { error: 'Invalid or exhausted cursor' };
+    }
+
+    if (query && query !== state.q) {
+        return { error: 'Cursor does not belong to this query' };
+    }
+
+    // Filters always come from the cursor so every page of a search is filtered the same way
+    const { filters, error } = parseSearchFilters(state.f || {});
+    if (error) {
+        return { error: 'Invalid or exhausted cursor' };
+    }
+
+    // Sort order carries over from the first page unless the request changes it
+    return {
+        query: state.q,
+        limit: state.l,
+        page: state.p,
+        sourcePages: state.s,
+        pendingPositions: state.k,
+        filters,
+        sort: sort || state.o || 'relevance',
+        seed: seed ?? state.r ?? '',
+        perceptual: perceptualDedup,
+        verify: verifyImages,
+        debug: debugModes,
+        useCache,
+        timeoutMs: deadline
+    };
+};
+
+// AbortSignal that fires when the client goes away before the response has been sent
+const createRequestSignal = (req, res) => {
+    const controller = new AbortController();
+
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            log.info(`Client disconnected, cancelling ${req.method} ${req.path}`);
+            controller.abort(new Error('Client disconnected'));
+        }
+    });
+
+    return controller.signal;
+};
+
+// Function to run the combine/dedup/finalize pipeline over completed source searches
+const buildSearchResponse = async (query, searchResults, perSourceLimit, totalSources, {
+    limit,
+    page = 1,
+    pendingPositions = null,
+    filters = {},
+    sort = 'relevance',
+    seed = '',
+    perceptual = PERCEPTUAL_DEDUP,
+    verify = VERIFY_IMAGES,
+    debug = [],
+    timeoutMs,
+    deadlineAt,
+    signal
+} = {}) => {
+    // Combine all results
+    const { allResults, performanceStats } = combineSearchResults(searchResults, pendingPositions);
+
+    // Deduplicate with source merging, then optionally by what the images look like
+    const dedupReport = debug.includes('dedup') ? createDedupReport() : null;
+    let uniqueResults = deduplicateWithSourceMerging(allResults, { report: dedupReport });
+    let perceptualStats = null;
+    if (perceptual) {
+        ({ results: uniqueResults, stats: perceptualStats } = await deduplicatePerceptually(uniqueResults, { signal, deadlineAt, report: dedupReport }));
+    }
+
+    // Optionally check that every result is a reachable image, with its real dimensions (before filtering on them)
+    let verificationStats = null;
+    if (verify) {
+        ({ results: uniqueResults, stats: verificationStats } = await verifyResults(uniqueResults, { signal, deadlineAt, report: dedupReport }));
+    }
+
+    // Apply filters before the limit, since sources over-fetched to make up for what gets dropped
+    const filterApplied = Object.keys(filters).length > 0;
+    const filteredResults = filterApplied
+        ? uniqueResults.filter(image => matchesFilters(image, filters))
+        : uniqueResults;
+
+    // Finalize results
+    let finalResults = finalizeResults(filteredResults, { query, sort, seed });
+    let overflow = [];
+    if (filterApplied) {
+        overflow = finalResults.slice(Number(limit));
+        finalResults = finalResults.slice(0, Number(limit));
+    }
+
+    const nextCursor = buildNextCursor(query, limit, page, searchResults, { filters, sort, seed, pendingPositions, overflow });
+    finalResults.forEach(result => delete result.sourcePositions);
+
+    // Generate summary
+    const summary = generateSearchSummary(query, finalResults, allResults, uniqueResults, performanceStats, perSourceLimit, totalSources);
+
+    log.info('Equal-priority search completed successfully:', {
+        query,
+        totalResults: finalResults.length,
+        totalTime: summary.performance.totalTime,
+        sourcesUsed: Object.keys(summary.sources).length,
+        duplicatesRemoved: allResults.length - uniqueResults.length,
+        perSourceLimit: perSourceLimit
+    });
+
+    summary.deduplication.perceptual = perceptualStats;
+    summary.verification = verificationStats;
+    if (dedupReport) {
+        summary.debug = { dedup: dedupReport.toJSON() };
+    }
+    summary.page = page;
+    summary.sort = { sort, seed };
+    summary.filters = {
+        applied: filters,
+        unsupportedSources: listUnsupportedSources(filters),
+        beforeFilter: uniqueResults.length,
+        afterFilter: filteredResults.length
+    };
+    summary.deadline = {
+        timeoutMs,
+        timedOutSources: searchResults.filter(result => result.timedOut).map(result => result.source)
+    };
+
+    return {
+        results: finalResults,
+        summary,
+        nextCursor
+    };
+};
+
 // Main search endpoint
 app.get('/api/search', async (req, res) => {
     try {
-        const { query, limit = 100 } = req.query;
+        const params = resolveSearchParams(req.query);
+
+        if (params.error) {
+            return res.status(400).json({ error: params.error });
+        }
+
+        const { query, limit, page, sourcePages, pendingPositions, filters, sort, seed, perceptual, verify, debug, useCache, timeoutMs } = params;
+        const signal = createRequestSignal(req, res);
+
+        // Execute multi-source search
+        const { searchResults, perSourceLimit, totalSources, deadlineAt } = await executeMultiSourceSearch(query, limit, { sourcePages, filters, useCache, timeoutMs, signal });
+
+        if (signal.aborted) return;
+
+        const response = await buildSearchResponse(query, searchResults, perSourceLimit, totalSources, {
+            limit, page, pendingPositions, filters, sort, seed, perceptual, verify, debug, timeoutMs, deadlineAt, signal
+        });
+
+        if (signal.aborted) return;
 
-        if (!query) {
-            return res.status(400).json({ error: 'Query parameter is required' });
-        }
+        res.json(response);
 
-        // Execute multi-source search
-        const { searchResults, perSourceLimit, totalSources } = await executeMultiSourceSearch(query, limit);
+    } catch (error) {
+        log.error('Search error:', error);
+        res.status(500).json({
+            error: 'Failed to search images',
+            details: error.message
+        });
+    }
+});
+
+// Streaming search endpoint (Server-Sent Events).
+// Emits `status` and `source` events as each source finishes, then a final
+// deduplicated `summary` event with the same payload as /api/search.
+app.get('/api/search/stream', async (req, res) => {
+    const params = resolveSearchParams(req.query);
 
-        // Combine all results
-        const { allResults, sourceStats, performanceStats } = combineSearchResults(searchResults);
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
 
-        // Deduplicate with source merging
-        const uniqueResults = deduplicateWithSourceMerging(allResults);
+    const { query, limit, page, sourcePages, pendingPositions, filters, sort, seed, perceptual, verify, debug, useCache, timeoutMs } = params;
+    const signal = createRequestSignal(req, res);
 
-        // Finalize results
-        const finalResults = finalizeResults(uniqueResults);
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
 
-        // Generate summary
-        const summary = generateSearchSummary(query, finalResults, allResults, uniqueResults, performanceStats, perSourceLimit, totalSources);
+    const sendEvent = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-        log.info('Equal-priority search completed successfully:', {
+    try {
+        sendEvent('start', {
             query,
-            totalResults: finalResults.length,
-            totalTime: summary.performance.totalTime,
-            sourcesUsed: Object.keys(summary.sources).length,
-            duplicatesRemoved: allResults.length - uniqueResults.length,
-            perSourceLimit: perSourceLimit
+            page,
+            sources: selectSearchSources(filters)
+                .filter(source => !sourcePages || sourcePages[source.id])
+                .map(source => source.name)
         });
 
-        res.json({
-            results: finalResults,
-            summary: summary
+        const { searchResults, perSourceLimit, totalSources, deadlineAt } = await executeMultiSourceSearch(query, limit, {
+            sourcePages,
+            filters,
+            useCache,
+            timeoutMs,
+            signal,
+            onSourceStart: (source) => {
+                sendEvent('status', { source: source.name, state: 'running' });
+            },
+            onSourceComplete: (source, outcome) => {
+                sendEvent('status', {
+                    source: source.name,
+                    state: outcome.timedOut ? 'timedOut' : outcome.skipped ? 'skipped' : (outcome.success ? 'completed' : 'failed'),
+                    resultCount: outcome.results.length,
+                    duration: outcome.duration,
+                    error: outcome.error,
+                    cached: outcome.cached,
+                    cacheAge: outcome.cacheAge
+                });
+
+                const matching = outcome.results.filter((result, index) =>
+                    isPendingPosition(pendingPositions, source.id, index) && matchesFilters(result, filters));
+                if (matching.length > 0) {
+                    // Send copies so deduplication later works on untouched data
+                    const results = signResultUrls(addHashedIds(matching.map(result => ({
+                        ...result,
+                        sources: [result.source],
+                        sourceCount: 1,
+                        variants: [toVariant(result)]
+                    }))));
+                    sendEvent('source', { source: source.name, results });
+                }
+            }
         });
 
+        if (signal.aborted) return;
+
+        const response = await buildSearchResponse(query, searchResults, perSourceLimit, totalSources, {
+            limit, page, pendingPositions, filters, sort, seed, perceptual, verify, debug, timeoutMs, deadlineAt, signal
+        });
+
+        if (signal.aborted) return;
+
+        sendEvent('summary', response);
     } catch (error) {
-        log.error('Search error:', error);
-        res.status(500).json({
+        log.error('Streaming search error:', error);
+        sendEvent('search-error', {
             error: 'Failed to search images',
             details: error.message
         });
+    } finally {
+        res.end();
     }
 });
 
-// Download proxy endpoint
-app.get('/api/download/:id', async (req, res) => {
-    const MAX_RETRIES = 2;
-    const TIMEOUT_MS = 45000; // Longer timeout for downloads
-
-    try {
-        const { id } = req.params;
-        const { url } = req.query;
-
-        if (!url) {
-            return res.status(400).json({ error: 'URL parameter is required' });
-        }
+// Download settings shared by single and bulk downloads
+const DOWNLOAD_MAX_RETRIES = 2;
+const DOWNLOAD_TIMEOUT_MS = 45000; // Longer timeout for downloads
 
-        if (!url.match(/^https?:\/\/.+/)) {
-            return res.status(400).json({ error: 'Invalid URL format' });
-        }
+// Function to open an image download, retrying transient failures.
+// Resolves with { stream, contentType, extension }; the rejection has `invalidType` set when the URL is not an image
+const openDownloadStream = async (url, { id, signal } = {}) => {
+    assertPublicUrl(url);
+    let lastError = new Error('Download failed');
 
-        log.info('Download request:', { id, url: url.substring(0, 100) + '...' });
+    for (let attempt = 1; attempt <= DOWNLOAD_MAX_RETRIES; attempt++) {
+        try {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+            const onAbort = () => controller.abort(signal.reason);
+            signal?.addEventListener('abort', onAbort, { once: true });
 
-        // Retry logic for downloads
-        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+            let response;
             try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
-
-                const response = await axios.get(url, {
+                response = await axios.get(url, {
                     responseType: 'stream',
                     headers: {
                         'User-Agent': getRandomUserAgent(),
@@ -1814,79 +4833,127 @@ app.get('/api/download/:id', async (req, res) => {
                         'Referer': 'https://www.google.com/',
                         'Connection': 'keep-alive'
                     },
-                    timeout: TIMEOUT_MS,
+                    timeout: DOWNLOAD_TIMEOUT_MS,
                     maxRedirects: 5,
                     signal: controller.signal,
-                    validateStatus: (status) => status < 400
+                    validateStatus: (status) => status < 400,
+                    ...guardedRequestOptions
                 });
-
+            } finally {
                 clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort);
+            }
 
-                // Validate content type
-                const contentType = response.headers['content-type'];
-                if (!contentType || !contentType.startsWith('image/')) {
-                    if (attempt === MAX_RETRIES) {
-                        return res.status(400).json({ error: 'Invalid file type' });
-                    }
-                    continue;
-                }
+            // Validate content type
+            const contentType = response.headers['content-type'];
+            if (!contentType || !contentType.startsWith('image/')) {
+                response.data.destroy();
+                lastError = new Error('Invalid file type');
+                lastError.invalidType = true;
+                continue;
+            }
 
-                // Determine file extension
-                const extension = contentType.split('/')[1]?.split(';')[0] ||
-                    url.match(/\.(jpg|jpeg|png|webp|gif)(\?|$)/i)?.[1] ||
-                    'jpg';
+            // Determine file extension
+            const extension = contentType.split('/')[1]?.split(';')[0] ||
+                url.match(/\.(jpg|jpeg|png|webp|gif)(\?|$)/i)?.[1] ||
+                'jpg';
 
-                // Set download headers
-                res.setHeader('Content-Type', contentType);
-                res.setHeader('Content-Disposition', `attachment; filename="${sanitizeFilename(id)}.${extension}"`);
-                res.setHeader('Cache-Control', 'no-cache');
+            return { stream: response.data, contentType, extension };
 
-                // Handle stream errors
-                let downloadStarted = false;
+        } catch (axiosError) {
+            if (signal?.aborted) throw signal.reason;
 
-                response.data.on('data', () => {
-                    downloadStarted = true;
-                });
+            log.warn(`Download attempt ${attempt} failed:`, {
+                id,
+                error: axiosError.message,
+                status: axiosError.response?.status,
+                code: axiosError.code
+            });
+            lastError = axiosError;
 
-                response.data.on('error', (streamError) => {
-                    log.error('Download stream error:', streamError);
-                    if (!res.headersSent && !downloadStarted) {
-                        res.status(500).json({ error: 'Download stream failed' });
-                    }
-                });
+            // Don't retry on certain errors
+            if (axiosError.response?.status === 404 ||
+                axiosError.response?.status === 403 ||
+                axiosError.code === 'ERR_INVALID_URL' ||
+                isBlockedUrlError(axiosError)) {
+                break;
+            }
 
-                response.data.on('end', () => {
-                    log.info('Download completed:', { id });
-                });
+            // Wait before retry
+            if (attempt < DOWNLOAD_MAX_RETRIES) {
+                await delay(2000, signal);
+            }
+        }
+    }
 
-                response.data.pipe(res);
-                return; // Success, exit retry loop
+    throw lastError;
+};
 
-            } catch (axiosError) {
-                log.warn(`Download attempt ${attempt} failed:`, {
-                    id,
-                    error: axiosError.message,
-                    status: axiosError.response?.status,
-                    code: axiosError.code
-                });
+// Download proxy endpoint
+app.get('/api/download/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { url } = req.query;
 
-                // Don't retry on certain errors
-                if (axiosError.response?.status === 404 ||
-                    axiosError.response?.status === 403 ||
-                    axiosError.code === 'ERR_INVALID_URL') {
-                    break;
-                }
+        if (!url) {
+            return res.status(400).json({ error: 'URL parameter is required' });
+        }
 
-                // Wait before retry
-                if (attempt < MAX_RETRIES) {
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                }
+        if (!url.match(/^https?:\/\/.+/)) {
+            return res.status(400).json({ error: 'Invalid URL format' });
+        }
+
+        const signatureError = checkUrlSignature('download', req.query);
+
+        if (signatureError) {
+            log.warn('Rejected download request:', { id, reason: signatureError });
+            return res.status(403).json({ error: signatureError });
+        }
+
+        log.info('Download request:', { id, url: url.substring(0, 100) + '...' });
+
+        let download;
+        try {
+            download = await openDownloadStream(url, { id });
+        } catch (error) {
+            if (error.invalidType) {
+                return res.status(400).json({ error: 'Invalid file type' });
+            }
+
+            if (isBlockedUrlError(error)) {
+                log.warn('Blocked download:', { id, error: error.message });
+                return res.status(403).json({ error: 'URL not allowed' });
             }
+
+            // All retries failed
+            log.error('All download retry attempts failed:', { id });
+            return res.status(500).json({ error: 'Failed to download image after retries' });
         }
 
-        // All retries failed
-        log.error('All download retry attempts failed:', { id });
-        res.status(500).json({ error: 'Failed to download image after retries' });
+        // Set download headers
+        res.setHeader('Content-Type', download.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${sanitizeFilename(id)}.${download.extension}"`);
+        res.setHeader('Cache-Control', 'no-cache');
+
+        // Handle stream errors
+        let downloadStarted = false;
+
+        download.stream.on('data', () => {
+            downloadStarted = true;
+        });
+
+        download.stream.on('error', (streamError) => {
+            log.error('Download stream error:', streamError);
+            if (!res.headersSent && !downloadStarted) {
+                res.status(500).json({ error: 'Download stream failed' });
+            }
+        });
+
+        download.stream.on('end', () => {
+            log.info('Download completed:', { id });
+        });
+
+        download.stream.pipe(res);
 
     } catch (error) {
         log.error('Download error:', error);
@@ -1913,6 +4980,13 @@ app.get('/view/:hashedId', (req, res) => {
     }
 });
 
+// Responses for image IDs that can't be opened, by error code
+const IMAGE_ID_REJECTIONS = {
+    ERR_IMAGE_ID_TAMPERED: { status: 400, code: 'tampered', error: 'Invalid or tampered image ID' },
+    ERR_IMAGE_ID_EXPIRED: { status: 410, code: 'expired', error: 'Image link has expired' },
+    ERR_IMAGE_ID_UNKNOWN_KEY: { status: 404, code: 'unknown-key', error: 'Image ID was issued with a key that is no longer accepted' }
+};
+
 // API endpoint to get image data by hashed ID (keep this the same)
 app.get('/api/image-data/:hashedId', async (req, res) => {
     try {
@@ -1923,21 +4997,380 @@ app.get('/api/image-data/:hashedId', async (req, res) => {
         }
 
         // Decrypt the hashed ID to get the original image data
-        const imageData = decryptImageId(hashedId);
+        let imageData;
+        try {
+            imageData = openImageId(hashedId);
+        } catch (error) {
+            const rejection = IMAGE_ID_REJECTIONS[error.code];
+            if (!rejection) throw error;
 
-        if (!imageData) {
-            return res.status(404).json({ error: 'Image not found' });
+            log.warn('Image ID rejected:', { code: error.code, message: error.message });
+            return res.status(rejection.status).json({ error: rejection.error, code: rejection.code });
         }
 
         log.info('Image data requested:', { hashedId, title: imageData.title });
 
-        res.json(imageData);
+        // Links are signed per request, independently of the ID's own expiry (IMAGE_ID_TTL_MS)
+        res.json(signResultUrls([imageData])[0]);
     } catch (error) {
         log.error('Image data API error:', error);
         res.status(500).json({ error: 'Failed to retrieve image data' });
     }
 });
 
+// Attribution
+// Credits follow the TASL convention: Title, Author, Source and License, with the title linked to the
+// page the image came from and the license linked to its deed
+const ATTRIBUTION_FORMATS = ['text', 'html', 'markdown'];
+const MAX_ATTRIBUTION_IDS = 200;
+
+// Placeholder photographers that should not be credited as the author
+const UNKNOWN_AUTHORS = ['unknown', 'unknown author', 'various'];
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const escapeMarkdown = (value) => String(value).replace(/([\\`*_[\]<>])/g, '\\$1');
+
+// Each format escapes text its own way and renders a link as `label (url)`, `<a>` or `[label](url)`
+const ATTRIBUTION_RENDERERS = {
+    text: {
+        text: value => String(value),
+        link: (label, url) => url ? `${label} (${url})` : label
+    },
+    html: {
+        text: escapeHtml,
+        link: (label, url) => url ? `<a href="${escapeHtml(url)}" rel="noopener noreferrer">${label}</a>` : label
+    },
+    markdown: {
+        text: escapeMarkdown,
+        link: (label, url) => url ? `[${label}](${url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)})` : label
+    }
+};
+
+// Only web links make it into credits, so scraped `javascript:` or `data:` URLs are never rendered
+const toWebUrl = (url) => /^https?:\/\//i.test(url || '') ? url : null;
+
+// Function to collect the TASL fields of decrypted image data, optionally for one of its merged variants
+const getAttributionFields = (imageData, variantIndex) => {
+    const image = variantIndex !== undefined ? { ...imageData, ...imageData.variants[variantIndex] } : imageData;
+    const license = getLicense(image.licenseId);
+    const photographer = String(image.photographer || '').trim();
+
+    return {
+        title: image.title || 'Untitled',
+        author: photographer && !UNKNOWN_AUTHORS.includes(photographer.toLowerCase()) ? photographer : null,
+        source: image.source,
+        sourceUrl: toWebUrl(image.sourcePageUrl) || toWebUrl(image.downloadUrl),
+        licenseId: license.id,
+        // Commons licenses outside the registry keep their own name and deed
+        license: image.license || license.name,
+        licenseUrl: toWebUrl(image.licenseUrl || license.url),
+        attributionRequired: license.attributionRequired
+    };
+};
+
+// Function to render one TASL credit line, e.g. "Sunset" by Jane Doe via Flickr is licensed under CC BY 2.0
+const renderAttribution = (fields, format) => {
+    const { text, link } = ATTRIBUTION_RENDERERS[format];
+    const title = link(`"${text(fields.title)}"`, fields.sourceUrl);
+    const author = fields.author ? ` by ${text(fields.author)}` : '';
+    const license = link(text(fields.license), fields.licenseUrl);
+
+    let terms;
+    if (fields.licenseId === 'CC0-1.0' || fields.licenseId === 'Public-Domain') {
+        terms = `is marked with ${license}`;
+    } else if (fields.licenseId === 'Unknown' && fields.license === LICENSES.Unknown.name) {
+        terms = 'has an unknown license, check the source before use';
+    } else {
+        terms = `is licensed under ${license}`;
+    }
+
+    return `${title}${author} via ${text(fields.source)} ${terms}.`;
+};
+
+const buildAttribution = (imageData, variantIndex) => {
+    const fields = getAttributionFields(imageData, variantIndex);
+    const attribution = { ...fields };
+    ATTRIBUTION_FORMATS.forEach(format => {
+        attribution[format] = renderAttribution(fields, format);
+    });
+    return attribution;
+};
+
+// Function to join several credit lines into one credits block per format
+const buildCredits = (attributions) => ({
+    text: attributions.map(attribution => attribution.text).join('\n'),
+    html: `<ul class="image-credits">\n${attributions.map(attribution => `  <li>${attribution.html}</li>`).join('\n')}\n</ul>`,
+    markdown: attributions.map(attribution => `- ${attribution.markdown}`).join('\n')
+});
+
+// Function to read a `variant` parameter; returns undefined for the image's own data or null when invalid
+const parseVariantIndex = (imageData, variant) => {
+    if (variant === undefined || variant === null || variant === '') return undefined;
+    const index = Number(variant);
+    if (!Number.isInteger(index) || index < 0 || index >= (imageData.variants?.length || 0)) return null;
+    return index;
+};
+
+// Function to decrypt one entry of an `ids` list: a hashed ID or `{ id, variant }`. Returns null when invalid
+const resolveImageEntry = (entry) => {
+    const { id, variant } = typeof entry === 'object' && entry !== null ? entry : { id: entry };
+    const imageData = typeof id === 'string' ? decryptImageId(id) : null;
+    const variantIndex = imageData ? parseVariantIndex(imageData, variant) : null;
+
+    return variantIndex === null ? null : { imageData, variantIndex };
+};
+
+const ATTRIBUTION_CONTENT_TYPES = {
+    text: 'text/plain; charset=utf-8',
+    html: 'text/html; charset=utf-8',
+    markdown: 'text/markdown; charset=utf-8'
+};
+
+// Attribution for one image: JSON with every format, or the raw credit when `format` is given
+app.get('/api/attribution/:hashedId', (req, res) => {
+    try {
+        const { format, variant } = req.query;
+
+        if (format !== undefined && !ATTRIBUTION_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${ATTRIBUTION_FORMATS.join(', ')}` });
+        }
+
+        const imageData = decryptImageId(req.params.hashedId);
+
+        if (!imageData) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const variantIndex = parseVariantIndex(imageData, variant);
+
+        if (variantIndex === null) {
+            return res.status(400).json({ error: 'variant must be the index of one of the image variants' });
+        }
+
+        const attribution = buildAttribution(imageData, variantIndex);
+
+        if (format) {
+            return res.type(ATTRIBUTION_CONTENT_TYPES[format]).send(attribution[format]);
+        }
+
+        res.json(attribution);
+    } catch (error) {
+        log.error('Attribution API error:', error);
+        res.status(500).json({ error: 'Failed to build attribution' });
+    }
+});
+
+// Credits page for several images. `ids` holds hashed IDs or `{ id, variant }` objects; with `format`
+// the raw credits are returned, as a standalone page for html
+app.post('/api/attribution', (req, res) => {
+    try {
+        const { ids, format } = req.body || {};
+
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ error: 'ids must be a non-empty array of image IDs' });
+        }
+
+        if (ids.length > MAX_ATTRIBUTION_IDS) {
+            return res.status(400).json({ error: `At most ${MAX_ATTRIBUTION_IDS} images per request` });
+        }
+
+        if (format !== undefined && !ATTRIBUTION_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${ATTRIBUTION_FORMATS.join(', ')}` });
+        }
+
+        const credits = [];
+        const invalid = [];
+
+        ids.forEach((entry, index) => {
+            const image = resolveImageEntry(entry);
+
+            if (!image) {
+                invalid.push(index);
+                return;
+            }
+
+            credits.push(buildAttribution(image.imageData, image.variantIndex));
+        });
+
+        if (credits.length === 0) {
+            return res.status(404).json({ error: 'None of the images were found', invalid });
+        }
+
+        const combined = buildCredits(credits);
+
+        if (format === 'html') {
+            return res.type(ATTRIBUTION_CONTENT_TYPES.html).send(
+                '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n<title>Image credits</title>\n</head>\n' +
+                `<body>\n<h1>Image credits</h1>\n${combined.html}\n</body>\n</html>\n`
+            );
+        }
+
+        if (format) {
+            return res.type(ATTRIBUTION_CONTENT_TYPES[format]).send(combined[format]);
+        }
+
+        res.json({ count: credits.length, credits, invalid, ...combined });
+    } catch (error) {
+        log.error('Credits API error:', error);
+        res.status(500).json({ error: 'Failed to build credits' });
+    }
+});
+
+// Bulk download
+// Selected images are fetched a few at a time and streamed into a ZIP as they arrive, followed by a
+// manifest (JSON and CSV) with each file's source, license and attribution. Failed images are listed
+// in the manifest instead of aborting the archive.
+const BULK_DOWNLOAD_MAX_IMAGES = parseInt(process.env.BULK_DOWNLOAD_MAX_IMAGES) || 100;
+const BULK_DOWNLOAD_CONCURRENCY = parseInt(process.env.BULK_DOWNLOAD_CONCURRENCY) || 4;
+const BULK_DOWNLOAD_MAX_BYTES = parseInt(process.env.BULK_DOWNLOAD_MAX_BYTES) || 50 * 1024 * 1024;
+
+const MANIFEST_CSV_COLUMNS = ['file', 'status', 'error', 'title', 'author', 'source', 'sourceUrl',
+    'downloadUrl', 'license', 'licenseUrl', 'attribution'];
+
+const toCsvRow = (values) => values
+    .map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',');
+
+// Function to read a download stream into memory, giving up once it passes `maxBytes`
+const readDownloadStream = (stream, maxBytes) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let bytes = 0;
+
+    stream.on('data', chunk => {
+        bytes += chunk.length;
+        if (bytes > maxBytes) {
+            stream.destroy(new Error(`Image is larger than ${maxBytes} bytes`));
+            return;
+        }
+        chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+});
+
+// ZIP of several images. `ids` takes the same entries as POST /api/attribution
+app.post('/api/download', async (req, res) => {
+    const { ids } = req.body || {};
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({ error: 'ids must be a non-empty array of image IDs' });
+    }
+
+    if (ids.length > BULK_DOWNLOAD_MAX_IMAGES) {
+        return res.status(400).json({ error: `At most ${BULK_DOWNLOAD_MAX_IMAGES} images per download` });
+    }
+
+    const signal = createRequestSignal(req, res);
+    const numberWidth = String(ids.length).length;
+    const archive = archiver('zip', { store: true }); // Images are already compressed
+
+    // Each worker waits until its file has been written, so at most BULK_DOWNLOAD_CONCURRENCY images sit in memory
+    const pendingEntries = new Map();
+    archive.on('entry', entry => {
+        pendingEntries.get(entry.name)?.();
+        pendingEntries.delete(entry.name);
+    });
+    const appendEntry = (data, name) => new Promise(resolve => {
+        pendingEntries.set(name, resolve);
+        archive.append(data, { name });
+    });
+
+    signal.addEventListener('abort', () => pendingEntries.forEach(resolve => resolve()), { once: true });
+
+    archive.on('warning', error => log.warn('Bulk download archive warning:', error.message));
+    archive.on('error', error => {
+        log.error('Bulk download archive error:', error);
+        res.destroy(error);
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="images-${new Date().toISOString().slice(0, 10)}.zip"`);
+    res.setHeader('Cache-Control', 'no-cache');
+    archive.pipe(res);
+
+    log.info(`Bulk download of ${ids.length} images`);
+
+    const files = await mapWithConcurrency(ids, BULK_DOWNLOAD_CONCURRENCY, async (entry, index) => {
+        const number = String(index + 1).padStart(numberWidth, '0');
+        const image = resolveImageEntry(entry);
+
+        if (!image) {
+            return { index, file: null, status: 'failed', error: 'Invalid image ID' };
+        }
+
+        const fields = getAttributionFields(image.imageData, image.variantIndex);
+        const downloadUrl = image.variantIndex !== undefined
+            ? image.imageData.variants[image.variantIndex].downloadUrl
+            : image.imageData.downloadUrl;
+        const details = {
+            title: fields.title,
+            author: fields.author,
+            source: fields.source,
+            sourceUrl: fields.sourceUrl,
+            downloadUrl,
+            license: fields.license,
+            licenseId: fields.licenseId,
+            licenseUrl: fields.licenseUrl,
+            attribution: renderAttribution(fields, 'text')
+        };
+
+        if (signal.aborted) {
+            return { index, file: null, status: 'failed', error: 'Cancelled', ...details };
+        }
+
+        try {
+            if (!/^https?:\/\/.+/.test(downloadUrl || '')) {
+                throw new Error('Invalid URL format');
+            }
+
+            const download = await openDownloadStream(downloadUrl, { id: image.imageData.id, signal });
+            const data = await readDownloadStream(download.stream, BULK_DOWNLOAD_MAX_BYTES);
+            const file = `${number}-${sanitizeFilename(fields.title)}.${download.extension}`;
+
+            await appendEntry(data, file);
+            return { index, file, status: 'downloaded', bytes: data.length, ...details };
+        } catch (error) {
+            if (!signal.aborted) {
+                log.warn(`Bulk download of image ${index + 1} failed: ${error.message}`);
+            }
+            return { index, file: null, status: 'failed', error: error.message, ...details };
+        }
+    });
+
+    if (signal.aborted) {
+        archive.abort();
+        return;
+    }
+
+    const downloaded = files.filter(file => file.status === 'downloaded').length;
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        requested: ids.length,
+        downloaded,
+        failed: ids.length - downloaded,
+        files
+    };
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    archive.append(
+        [MANIFEST_CSV_COLUMNS.join(','), ...files.map(file => toCsvRow(MANIFEST_CSV_COLUMNS.map(column => file[column])))]
+            .join('\r\n') + '\r\n',
+        { name: 'manifest.csv' }
+    );
+    await archive.finalize();
+
+    log.info(`Bulk download completed: ${downloaded}/${ids.length} images`);
+});
+
 // Helper function to sanitize filename
 function sanitizeFilename(filename) {
     return filename.replace(/[^a-zA-Z0-9-_\.]/g, '_').substring(0, 100);
@@ -1945,74 +5378,101 @@ function sanitizeFilename(filename) {
 
 // Health check endpoint with detailed status
 app.get('/health', (req, res) => {
-    const apiStatus = {
-        pexels: API_KEYS.PEXELS_KEY !== 'demo_key' ? 'configured' : 'missing',
-        pixabay: API_KEYS.PIXABAY_KEY !== 'demo_key' ? 'configured' : 'missing',
-        unsplash: API_KEYS.UNSPLASH_ACCESS_KEY !== 'demo_key' ? 'configured' : 'missing'
-    };
+    const sources = {};
+    const apiStatus = {};
+
+    getAllSources().forEach(source => {
+        sources[source.id] = {
+            name: source.name,
+            type: source.type,
+            configured: isSourceConfigured(source),
+            ...sourceHealth.report(source.id)
+        };
+
+        if (source.requiredKeys.length > 0) {
+            apiStatus[source.id] = isSourceConfigured(source) ? 'configured' : 'missing';
+        }
+    });
+
+    const openCircuits = Object.keys(sources).filter(id => sources[id].circuit !== 'closed');
 
     res.json({
-        status: 'OK',
+        status: openCircuits.length > 0 ? 'DEGRADED' : 'OK',
         timestamp: new Date().toISOString(),
-        sources: {
-            'API-based': ['Pexels', 'Pixabay', 'Unsplash', 'Wikimedia Commons'],
-            'Web Scraping': ['Google Images', 'Bing Images', 'DuckDuckGo Images']
-        },
+        sources,
+        openCircuits,
         apiKeys: apiStatus,
-        version: '3.0 - Enhanced',
-        features: [
-            'Progressive multi-phase search',
-            'Guaranteed result count',
-            'Comprehensive error logging',
-            'Multiple source redundancy',
-            'Advanced deduplication',
-            'Automatic fallback strategies'
-        ]
+        searchCache: searchCache.stats(),
+        proxyImageCache: proxyImageCache.stats(),
+        proxySourceCache: proxySourceCache.stats(),
+        browserPool: browserPool.stats(),
+        version: '3.0 - Enhanced'
     });
 });
 
+// Function to check a request's `Authorization: Bearer` header against CACHE_ADMIN_TOKEN
+const hasCacheAdminToken = (req) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return false;
+
+    // Compare digests so the comparison is constant-time whatever the token length
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(CACHE_ADMIN_TOKEN));
+};
+
+// Purge the search result cache (admin only)
+app.delete('/api/cache', async (req, res) => {
+    try {
+        if (!CACHE_ADMIN_TOKEN) {
+            return res.status(404).json({ error: 'Endpoint not found' });
+        }
+
+        if (!hasCacheAdminToken(req)) {
+            log.warn('Rejected cache purge without a valid admin token');
+            return res.status(401).json({ error: 'Admin token required' });
+        }
+
+        const purged = await searchCache.purge();
+        res.json({ purged });
+    } catch (error) {
+        log.error('Cache purge error:', error);
+        res.status(500).json({ error: 'Failed to purge cache' });
+    }
+});
+
+// Registered sources, used by the UI to build its source filter
+app.get('/api/sources', (req, res) => {
+    res.json({ sources: getAllSources().map(describeSource) });
+});
+
+// License registry, for clients that show or filter on license attributes
+app.get('/api/licenses', (req, res) => {
+    res.json({ licenses: Object.values(LICENSES) });
+});
+
 // Test endpoint for individual sources
 app.get('/api/test/:source', async (req, res) => {
     try {
-        const { source } = req.params;
-        const { query = 'cats', limit = 10 } = req.query;
+        const { query = 'cats', limit = 10, page = 1 } = req.query;
+        const source = getSource(req.params.source);
 
-        log.info(`Testing ${source} with query: ${query}`);
+        if (!source) {
+            const available = getAllSources().map(s => s.id).join(', ');
+            return res.status(400).json({ error: `Unknown source. Available: ${available}` });
+        }
 
-        let results = [];
+        log.info(`Testing ${source.name} with query: ${query}`);
 
-        switch (source.toLowerCase()) {
-            case 'pexels':
-                results = await searchPexels(query, limit);
-                break;
-            case 'pixabay':
-                results = await searchPixabay(query, limit);
-                break;
-            case 'unsplash':
-                results = await searchUnsplash(query, limit);
-                break;
-            case 'wikimedia':
-                results = await searchWikimedia(query, limit);
-                break;
-            case 'google':
-                results = await searchGoogleImages(query, limit);
-                break;
-            case 'bing':
-                results = await searchBingImages(query, limit);
-                break;
-            case 'duckduckgo':
-                results = await searchDuckDuckGoImages(query, limit);
-                break;
-            default:
-                return res.status(400).json({ error: 'Unknown source. Available: pexels, pixabay, unsplash, wikimedia, google, bing, duckduckgo' });
-        }
+        // Runs even when the circuit is open, so a manual test can close it again
+        const signal = createRequestSignal(req, res);
+        const results = await runTrackedSearch(source, query, limit, { page: parseInt(page) || 1, signal });
 
         res.json({
-            source: source,
+            source: source.id,
             query: query,
             requested: limit,
             found: results.length,
-            results: results
+            results: signResultUrls(results)
         });
 
     } catch (error) {
@@ -2044,7 +5504,7 @@ app.listen(PORT, () => {
     log.info(`Health check: http://localhost:${PORT}/health`);
     log.info(`Main search: http://localhost:${PORT}/api/search?query=cats&limit=100`);
     log.info(`Test sources: http://localhost:${PORT}/api/test/pexels?query=dogs&limit=5`);
-    log.info(`Sources: Google Images, Bing Images, DuckDuckGo Images, Wikimedia Commons, Pexels, Pixabay, Unsplash`);
+    log.info(`Sources: ${getAllSources().map(source => source.name).join(', ')}`);
     log.info(`Features: Progressive search, Guaranteed results, Comprehensive logging`);
 
     // Log API status
@@ -2060,15 +5520,15 @@ app.listen(PORT, () => {
 });
 
 // Graceful shutdown handling
-process.on('SIGTERM', () => {
-    log.info('SIGTERM received, shutting down gracefully');
+const shutdown = async (signal) => {
+    log.info(`${signal} received, shutting down gracefully`);
+    await browserPool.close();
+    await proxySourceCache.save();
     process.exit(0);
-});
+};
 
-process.on('SIGINT', () => {
-    log.info('SIGINT received, shutting down gracefully');
-    process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 process.on('unhandledRejection', (reason, promise) => {
     log.error('Unhandled Rejection at:', promise, 'reason:', reason);
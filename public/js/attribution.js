@@ -0,0 +1,22 @@
+// Shared by the search page and the viewer.
+// Copy an image's credit as rich text where supported, so it pastes with links, and as plain text otherwise
+async function copyAttributionToClipboard(hashedId, variant) {
+    const query = variant !== undefined ? `?variant=${variant}` : '';
+    const response = await fetch(`/api/attribution/${hashedId}${query}`);
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Attribution not available');
+    }
+
+    const attribution = await response.json();
+
+    if (window.ClipboardItem && navigator.clipboard.write) {
+        await navigator.clipboard.write([new ClipboardItem({
+            'text/plain': new Blob([attribution.text], { type: 'text/plain' }),
+            'text/html': new Blob([attribution.html], { type: 'text/html' })
+        })]);
+    } else {
+        await navigator.clipboard.writeText(attribution.text);
+    }
+}
@@ -2,13 +2,20 @@ document.addEventListener('DOMContentLoaded', function() {
     const searchInput = document.getElementById('searchInput');
     const searchBtn = document.getElementById('searchBtn');
     const imageCountSelect = document.getElementById('imageCount');
+    const sortSelect = document.getElementById('sortOrder');
     const loadingDiv = document.getElementById('loadingDiv');
     const resultsInfo = document.getElementById('resultsInfo');
     const imageGrid = document.getElementById('imageGrid');
     const errorDiv = document.getElementById('errorDiv');
+    const selectAllCheckbox = document.getElementById('selectAll');
+    const downloadSelectedBtn = document.getElementById('downloadSelectedBtn');
 
     // Filter variables - store all results for filtering
     let allSearchResults = [];
+    let displayedImages = [];
+
+    // Images ticked for bulk download, by hashed ID, with the chosen variant index (if any)
+    const selectedImages = new Map();
     let currentFilters = {
         source: [],
         resolution: '',
@@ -19,7 +26,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Get filter elements
     const sourceFilterHeader = document.getElementById('sourceFilterHeader');
     const sourceFilterDropdown = document.getElementById('sourceFilterDropdown');
-    const sourceCheckboxes = sourceFilterDropdown ? sourceFilterDropdown.querySelectorAll('input[type="checkbox"]') : [];
+    let sourceCheckboxes = [];
     const resolutionFilter = document.getElementById('resolutionFilter');
     const orientationFilter = document.getElementById('orientationFilter');
     const copyrightFilter = document.getElementById('copyrightFilter');
@@ -53,14 +60,6 @@ document.addEventListener('DOMContentLoaded', function() {
             }
         });
 
-        // Add event listeners to checkboxes
-        sourceCheckboxes.forEach(checkbox => {
-            checkbox.addEventListener('change', function() {
-                updateSourceFilterDisplay();
-                applyFilters();
-            });
-        });
-
         // Close dropdown when clicking outside
         document.addEventListener('click', function() {
             sourceFilterDropdown.classList.remove('show');
@@ -73,12 +72,70 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    // Build the source filter from the server's source registry
+    loadSources();
+
+    async function loadSources() {
+        const sourcesList = document.getElementById('sourcesList');
+
+        try {
+            const response = await fetch('/api/sources');
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load sources');
+            }
+
+            if (sourceFilterDropdown) {
+                sourceFilterDropdown.innerHTML = '';
+
+                data.sources.forEach(source => {
+                    const label = document.createElement('label');
+                    label.className = 'multi-select-option';
+
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.value = source.name;
+                    checkbox.addEventListener('change', function() {
+                        updateSourceFilterDisplay();
+                        applyFilters();
+                    });
+
+                    label.appendChild(checkbox);
+                    label.appendChild(document.createTextNode(` ${source.name}`));
+                    sourceFilterDropdown.appendChild(label);
+                });
+
+                sourceCheckboxes = Array.from(sourceFilterDropdown.querySelectorAll('input[type="checkbox"]'));
+            }
+
+            if (sourcesList) {
+                sourcesList.textContent = data.sources.map(source => source.name).join(', ');
+            }
+        } catch (error) {
+            console.error('Failed to load sources:', error);
+            if (sourcesList) sourcesList.textContent = 'Unavailable';
+        }
+    }
+
     // Other filter event listeners
     if (resolutionFilter) resolutionFilter.addEventListener('change', applyFilters);
     if (orientationFilter) orientationFilter.addEventListener('change', applyFilters);
     if (copyrightFilter) copyrightFilter.addEventListener('change', applyFilters);
     if (clearFiltersBtn) clearFiltersBtn.addEventListener('click', clearAllFilters);
 
+    // Bulk selection
+    // Tick every card through its own checkbox, so each keeps the variant picked on it
+    selectAllCheckbox.addEventListener('change', function() {
+        imageGrid.querySelectorAll('.image-select').forEach(selectBox => {
+            if (selectBox.checked !== this.checked) {
+                selectBox.checked = this.checked;
+                selectBox.dispatchEvent(new Event('change'));
+            }
+        });
+    });
+    downloadSelectedBtn.addEventListener('click', downloadSelected);
+
     function updateSourceFilterDisplay() {
         const checkedBoxes = Array.from(sourceCheckboxes).filter(cb => cb.checked);
         const sourceFilterText = document.querySelector('.multi-select-text');
@@ -94,22 +151,103 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    let activeStream = null;
+    let activeSearchController = null;
+
+    // Stop the previous search so the server cancels its upstream work
+    function cancelActiveSearch() {
+        if (activeStream) {
+            activeStream.close();
+            activeStream = null;
+        }
+        if (activeSearchController) {
+            activeSearchController.abort();
+            activeSearchController = null;
+        }
+    }
+
+    // Re-order the loaded results in place rather than searching every source again
+    if (sortSelect) {
+        sortSelect.addEventListener('change', function() {
+            if (allSearchResults.length > 0) {
+                allSearchResults = sortLoadedResults(allSearchResults, this.value);
+                applyFilters();
+            }
+        });
+    }
+
+    // Client-side version of the server's sort orders, using the `relevance` score it sent
+    function sortLoadedResults(results, sort) {
+        const byRelevance = (a, b) => (b.relevance || 0) - (a.relevance || 0);
+        const published = (image) => (image.publishedAt ? Date.parse(image.publishedAt) || 0 : 0);
+
+        if (sort === 'interleaved') {
+            const bySource = new Map();
+            [...results]
+                .sort((a, b) => (a.sourceRank || 0) - (b.sourceRank || 0))
+                .forEach(image => {
+                    const source = image.originalSource || image.source;
+                    if (!bySource.has(source)) bySource.set(source, []);
+                    bySource.get(source).push(image);
+                });
+
+            const queues = Array.from(bySource.values());
+            const interleaved = [];
+            for (let i = 0; interleaved.length < results.length; i++) {
+                queues.forEach(queue => {
+                    if (i < queue.length) interleaved.push(queue[i]);
+                });
+            }
+            return interleaved;
+        }
+
+        if (sort === 'random') {
+            const shuffled = [...results];
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            return shuffled;
+        }
+
+        const comparators = {
+            relevance: byRelevance,
+            resolution: (a, b) => (b.width * b.height - a.width * a.height) || byRelevance(a, b),
+            newest: (a, b) => (published(b) - published(a)) || byRelevance(a, b)
+        };
+
+        return [...results].sort(comparators[sort] || byRelevance);
+    }
+
     async function performSearch() {
         const query = searchInput.value.trim();
         const limit = imageCountSelect.value;
+        const sort = sortSelect ? sortSelect.value : 'relevance';
 
         if (!query) {
             showError('Please enter a search query');
             return;
         }
 
+        cancelActiveSearch();
+
         // Show loading state
         showLoading(true);
         hideError();
         hideResults();
 
+        if (window.EventSource) {
+            streamSearch(query, limit, sort);
+            return;
+        }
+
+        const controller = new AbortController();
+        activeSearchController = controller;
+
         try {
-            const response = await fetch(`/api/search?query=${encodeURIComponent(query)}&limit=${limit}`);
+            const response = await fetch(`/api/search?query=${encodeURIComponent(query)}&limit=${limit}&sort=${sort}`, {
+                signal: controller.signal
+            });
             const data = await response.json();
 
             if (!response.ok) {
@@ -118,11 +256,90 @@ document.addEventListener('DOMContentLoaded', function() {
 
             showResults(data.results, data.summary);
         } catch (error) {
+            // Superseded by a newer search
+            if (error.name === 'AbortError') return;
+
             console.error('Search error:', error);
             showError(`Search failed: ${error.message}`);
         } finally {
+            if (activeSearchController === controller) {
+                activeSearchController = null;
+                showLoading(false);
+            }
+        }
+    }
+
+    // Stream results as each source finishes, then replace them with the deduplicated set
+    function streamSearch(query, limit, sort) {
+        const stream = new EventSource(`/api/search/stream?query=${encodeURIComponent(query)}&limit=${limit}&sort=${sort}`);
+        activeStream = stream;
+
+        const finish = () => {
+            stream.close();
+            if (activeStream === stream) activeStream = null;
             showLoading(false);
+        };
+
+        stream.addEventListener('start', function(e) {
+            const data = JSON.parse(e.data);
+            data.sources.forEach(source => updateSourceProgress(source, 'pending'));
+        });
+
+        stream.addEventListener('status', function(e) {
+            const data = JSON.parse(e.data);
+            updateSourceProgress(data.source, data.state, data.resultCount);
+        });
+
+        stream.addEventListener('source', function(e) {
+            const data = JSON.parse(e.data);
+            data.results.forEach(image => {
+                imageGrid.appendChild(createImageCard(image));
+            });
+        });
+
+        stream.addEventListener('summary', function(e) {
+            const data = JSON.parse(e.data);
+            finish();
+            imageGrid.innerHTML = '';
+            showResults(data.results, data.summary);
+        });
+
+        stream.addEventListener('search-error', function(e) {
+            const data = JSON.parse(e.data);
+            finish();
+            showError(`Search failed: ${data.details || data.error}`);
+        });
+
+        // Connection dropped before the summary arrived
+        stream.onerror = function() {
+            if (activeStream !== stream) return;
+            finish();
+            showError('Search failed: connection to the server was lost');
+        };
+    }
+
+    function updateSourceProgress(source, state, resultCount) {
+        const progressDiv = document.getElementById('sourceProgress');
+        if (!progressDiv) return;
+
+        let item = Array.from(progressDiv.children).find(el => el.dataset.source === source);
+        if (!item) {
+            item = document.createElement('span');
+            item.dataset.source = source;
+            progressDiv.appendChild(item);
         }
+
+        const stateLabels = {
+            pending: 'waiting',
+            running: 'searching...',
+            completed: `${resultCount} found`,
+            failed: 'failed',
+            skipped: 'temporarily disabled',
+            timedOut: 'timed out'
+        };
+
+        item.className = `source-progress-item source-progress-${state}`;
+        item.textContent = `${source}: ${stateLabels[state] || state}`;
     }
 
     function showLoading(show) {
@@ -143,6 +360,13 @@ document.addEventListener('DOMContentLoaded', function() {
     function hideResults() {
         resultsInfo.style.display = 'none';
         imageGrid.innerHTML = '';
+        allSearchResults = [];
+        displayedImages = [];
+        selectedImages.clear();
+        updateSelection();
+
+        const progressDiv = document.getElementById('sourceProgress');
+        if (progressDiv) progressDiv.innerHTML = '';
     }
 
     function showResults(results, summary) {
@@ -269,6 +493,12 @@ document.addEventListener('DOMContentLoaded', function() {
                     case 'commercial':
                         if (!image.copyright.canUseCommercially) return false;
                         break;
+                    case 'derivatives':
+                        if (image.copyright.allowsDerivatives === false) return false;
+                        break;
+                    case 'no-share-alike':
+                        if (image.copyright.shareAlike) return false;
+                        break;
                 }
             }
 
@@ -366,7 +596,9 @@ document.addEventListener('DOMContentLoaded', function() {
             const copyrightLabels = {
                 'free': 'Free to Use',
                 'attribution': 'Requires Attribution',
-                'commercial': 'Commercial Use OK'
+                'commercial': 'Commercial Use OK',
+                'derivatives': 'Modifications Allowed',
+                'no-share-alike': 'No Share-Alike'
             };
             activeTags.push({ 
                 type: 'copyright', 
@@ -422,11 +654,33 @@ document.addEventListener('DOMContentLoaded', function() {
 
     function displayImages(images) {
         imageGrid.innerHTML = '';
+        displayedImages = images;
         
         images.forEach(image => {
             const card = createImageCard(image);
             imageGrid.appendChild(card);
         });
+
+        updateSelection();
+    }
+
+    function updateSelection() {
+        document.getElementById('selectedCount').textContent = `${selectedImages.size} selected`;
+        downloadSelectedBtn.disabled = selectedImages.size === 0;
+        selectAllCheckbox.checked = displayedImages.length > 0 &&
+            displayedImages.every(image => selectedImages.has(image.hashedId));
+    }
+
+    // Proxied thumbnails are resized by the server; the browser picks a width from the srcset
+    const THUMBNAIL_WIDTHS = [320, 480, 640, 960];
+
+    function thumbnailUrl(url, width) {
+        return url.startsWith('/api/proxy-image?') ? `${url}&w=${width}` : url;
+    }
+
+    function thumbnailSrcset(url) {
+        if (!url.startsWith('/api/proxy-image?')) return '';
+        return THUMBNAIL_WIDTHS.map(width => `${thumbnailUrl(url, width)} ${width}w`).join(', ');
     }
 
     function createImageCard(image) {
@@ -453,13 +707,15 @@ document.addEventListener('DOMContentLoaded', function() {
 
         card.innerHTML = `
             <div class="image-container">
-                <img src="${image.url}" alt="${image.title}" loading="lazy" 
-                    onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIwIiBoZWlnaHQ9IjIyMCIgdmlld0JveD0iMCAwIDMyMCAyMjAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMjAiIGhlaWdodD0iMjIwIiBmaWxsPSIjRjNGNEY2Ii8+CjxwYXRoIGQ9Ik0xNjAgMTEwTDE0MCA5MEwxMjAgMTEwTDE0MCA5MEwxNjAgMTEwWiIgZmlsbD0iIzlDQTNBRiIvPgo8dGV4dCB4PSIxNjAiIHk9IjE0MCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iIzlDQTNBRiIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjEyIj5JbWFnZSBub3QgYXZhaWxhYmxlPC90ZXh0Pgo8L3N2Zz4K'" />
+                <img src="${thumbnailUrl(image.url, THUMBNAIL_WIDTHS[0])}" srcset="${thumbnailSrcset(image.url)}"
+                    sizes="(max-width: 768px) 100vw, 400px" alt="${image.title}" loading="lazy" 
+                    onerror="this.removeAttribute('srcset'); this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIwIiBoZWlnaHQ9IjIyMCIgdmlld0JveD0iMCAwIDMyMCAyMjAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMjAiIGhlaWdodD0iMjIwIiBmaWxsPSIjRjNGNEY2Ii8+CjxwYXRoIGQ9Ik0xNjAgMTEwTDE0MCA5MEwxMjAgMTEwTDE0MCA5MEwxNjAgMTEwWiIgZmlsbD0iIzlDQTNBRiIvPgo8dGV4dCB4PSIxNjAiIHk9IjE0MCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZmlsbD0iIzlDQTNBRiIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjEyIj5JbWFnZSBub3QgYXZhaWxhYmxlPC90ZXh0Pgo8L3N2Zz4K'" />
                 ${image.sourceCount > 1 ? 
                     `<div class="multiple-sources-badge">${image.sourceCount} sources</div>` : 
                     `<div class="source-badge">${image.source}</div>`
                 }
                 <div class="copyright-badge ${getCopyrightBadgeClass()}">${getCopyrightBadgeText()}</div>
+                <input type="checkbox" class="image-select" title="Select for bulk download">
             </div>
             <div class="image-info">
                 <div class="image-title">${image.originalTitle || image.title}</div>
@@ -468,38 +724,159 @@ document.addEventListener('DOMContentLoaded', function() {
                     ``
                 }
                 <div class="image-details">
-                    <strong>Photographer:</strong> ${image.photographer}<br>
-                    <strong>Size:</strong> ${image.width} × ${image.height} (${image.size})
+                    <strong>Photographer:</strong> <span class="image-photographer">${image.photographer}</span><br>
+                    <strong>Size:</strong> <span class="image-size">${image.width} × ${image.height} (${image.size})</span>
                 </div>
                 <div class="copyright-info">
                     <div class="copyright-status">${image.copyright.license}</div>
                     <div class="copyright-desc">${image.copyright.description}</div>
                 </div>
                 <div style="display: flex; gap: 10px;">
-                    <button class="download-btn" data-action="download" data-id="${image.id}" data-url="${encodeURIComponent(image.downloadUrl)}">
+                    <button class="download-btn" data-action="download" data-id="${image.id}" data-url="${encodeURIComponent(image.downloadUrl)}" data-path="${image.downloadPath}">
                         📥 Download
                     </button>
                     <a href="/view/${image.hashedId}" target="_blank" class="download-btn view-btn">
                         👁️ View Image
                     </a>
                 </div>
+                <button class="attribution-btn" data-action="attribution" title="Copy a ready-to-paste credit for this image">
+                    📋 Copy attribution
+                </button>
             </div>
         `;
         
         // Add event listener for the download button only (View is now a link)
         const downloadBtn = card.querySelector('[data-action="download"]');
+
+        if (image.variants && image.variants.length > 1) {
+            addVariantSelect(card, image, downloadBtn);
+        }
         
         downloadBtn.addEventListener('click', function() {
             const id = this.getAttribute('data-id');
             const url = this.getAttribute('data-url');
-            downloadImage(id, url);
+            const path = this.getAttribute('data-path');
+            downloadImage(id, url, path);
+        });
+
+        const selectBox = card.querySelector('.image-select');
+        selectBox.checked = selectedImages.has(image.hashedId);
+        card.classList.toggle('selected', selectBox.checked);
+        selectBox.addEventListener('change', function() {
+            const variantSelect = card.querySelector('.variant-select');
+            if (this.checked) {
+                selectedImages.set(image.hashedId, variantSelect ? Number(variantSelect.value) : undefined);
+            } else {
+                selectedImages.delete(image.hashedId);
+            }
+            card.classList.toggle('selected', this.checked);
+            updateSelection();
+        });
+
+        card.querySelector('[data-action="attribution"]').addEventListener('click', function() {
+            const variantSelect = card.querySelector('.variant-select');
+            copyAttribution(image.hashedId, variantSelect ? variantSelect.value : undefined, this);
         });
         
         return card;
     }
 
+    // Let the user pick which source's copy of a merged image to download
+    function addVariantSelect(card, image, downloadBtn) {
+        const select = document.createElement('select');
+        select.className = 'variant-select';
+        select.title = 'Choose which copy to download';
+
+        // A card re-rendered while selected shows the variant chosen for download
+        const chosenVariant = selectedImages.get(image.hashedId);
+
+        image.variants.forEach((variant, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${variant.source} - ${variant.width} × ${variant.height} - ${variant.copyright.license}`;
+            option.selected = chosenVariant !== undefined ? index === chosenVariant : variant.downloadUrl === image.downloadUrl;
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', function() {
+            const variant = image.variants[this.value];
+            downloadBtn.setAttribute('data-url', encodeURIComponent(variant.downloadUrl));
+            downloadBtn.setAttribute('data-path', variant.downloadPath);
+            card.querySelector('.image-photographer').textContent = variant.photographer;
+            card.querySelector('.image-size').textContent = `${variant.width} × ${variant.height} (${variant.size})`;
+            card.querySelector('.copyright-status').textContent = variant.copyright.license;
+            card.querySelector('.copyright-desc').textContent = variant.copyright.description;
+            if (selectedImages.has(image.hashedId)) {
+                selectedImages.set(image.hashedId, Number(this.value));
+            }
+        });
+
+        card.querySelector('.image-info').insertBefore(select, downloadBtn.parentElement);
+        if (chosenVariant !== undefined) {
+            select.dispatchEvent(new Event('change'));
+        }
+    }
+
+    // Copy the image's credit (see attribution.js) and show the outcome on the button
+    async function copyAttribution(hashedId, variant, button) {
+        const originalText = button.textContent;
+
+        try {
+            await copyAttributionToClipboard(hashedId, variant);
+            button.textContent = '✅ Copied';
+        } catch (error) {
+            console.error('Attribution error:', error);
+            button.textContent = '⚠️ Copy failed';
+        }
+
+        setTimeout(() => {
+            button.textContent = originalText;
+        }, 2000);
+    }
+
+    // Download the selected images as one ZIP, with a manifest of sources, licenses and credits
+    async function downloadSelected() {
+        const originalText = downloadSelectedBtn.textContent;
+        downloadSelectedBtn.textContent = `Preparing ${selectedImages.size} images...`;
+        downloadSelectedBtn.disabled = true;
+
+        try {
+            const ids = Array.from(selectedImages, ([id, variant]) => variant === undefined ? id : { id, variant });
+            const response = await fetch('/api/download', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Download failed' }));
+                throw new Error(errorData.error || 'Download failed');
+            }
+
+            const blob = await response.blob();
+            const filename = (response.headers.get('content-disposition') || '').match(/filename="([^"]+)"/)?.[1] || 'images.zip';
+            const downloadUrl = window.URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = downloadUrl;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            window.URL.revokeObjectURL(downloadUrl);
+        } catch (error) {
+            console.error('Bulk download error:', error);
+            alert(`Download failed: ${error.message}. Please try again or check your connection.`);
+        }
+
+        downloadSelectedBtn.textContent = originalText;
+        updateSelection();
+    }
+
     // Download and view functions
-    async function downloadImage(id, url) {
+    // `path` is the signed /api/download link from the search results
+    async function downloadImage(id, url, path) {
         try {
             const decodedUrl = decodeURIComponent(url);
             
@@ -509,7 +886,7 @@ document.addEventListener('DOMContentLoaded', function() {
             button.textContent = 'Downloading...';
             button.disabled = true;
             
-            const response = await fetch(`/api/download/${id}?url=${encodeURIComponent(decodedUrl)}`);
+            const response = await fetch(path);
             
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({ error: 'Download failed' }));
@@ -1,4 +1,5 @@
 let imageData = null;
+let selectedVariant;
 
 function getHashedIdFromUrl() {
     const pathParts = window.location.pathname.split('/');
@@ -14,10 +15,13 @@ async function loadImageData() {
         
         const response = await fetch(`/api/image-data/${hashedId}`);
         if (!response.ok) {
-            throw new Error('Image not found');
+            // Tampered, expired and unknown-key IDs each come with their own message
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Image not found');
         }
         
         imageData = await response.json();
+        showVariants();
         displayImage();
     } catch (error) {
         showError('Failed to load image: ' + error.message);
@@ -40,6 +44,7 @@ function displayImage() {
         // Enable buttons
         document.getElementById('downloadBtn').disabled = false;
         document.getElementById('websiteBtn').disabled = false;
+        document.getElementById('attributionBtn').disabled = false;
         
         // Show image info with actual dimensions
         showImageInfo();
@@ -108,6 +113,38 @@ function addZoomFunctionality(img) {
     });
 }
 
+// Merged images list every source's copy; choosing one switches the image, download and website link
+function showVariants() {
+    if (!imageData.variants || imageData.variants.length < 2) return;
+
+    const select = document.getElementById('variantSelect');
+    imageData.variants.forEach((variant, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `${variant.source} - ${variant.width} × ${variant.height} - ${variant.license || 'Unknown license'}`;
+        option.selected = variant.downloadUrl === imageData.downloadUrl;
+        select.appendChild(option);
+    });
+
+    select.addEventListener('change', function() {
+        const variant = imageData.variants[this.value];
+        selectedVariant = this.value;
+        Object.assign(imageData, {
+            source: variant.source,
+            downloadUrl: variant.downloadUrl,
+            downloadPath: variant.downloadPath,
+            url: variant.url,
+            sourcePageUrl: variant.sourcePageUrl,
+            width: variant.width,
+            height: variant.height,
+            photographer: variant.photographer
+        });
+        displayImage();
+    });
+
+    select.style.display = '';
+}
+
 function showImageInfo() {
     const infoDiv = document.getElementById('imageInfo');
     const img = document.querySelector('.main-image');
@@ -133,7 +170,7 @@ function showError(message) {
 function downloadImage() {
     if (imageData) {
         const link = document.createElement('a');
-        link.href = `/api/download/${imageData.id}?url=${encodeURIComponent(imageData.downloadUrl)}`;
+        link.href = imageData.downloadPath;
         link.download = `${imageData.id}.jpg`;
         document.body.appendChild(link);
         link.click();
@@ -150,11 +187,31 @@ function goToWebsite() {
     }
 }
 
+// Copy the credit for the image (or the chosen variant), see attribution.js
+async function copyAttribution() {
+    const button = document.getElementById('attributionBtn');
+    const label = button.lastChild;
+    const originalText = label.textContent;
+
+    try {
+        await copyAttributionToClipboard(getHashedIdFromUrl(), selectedVariant);
+        label.textContent = ' Copied ';
+    } catch (error) {
+        console.error('Attribution error:', error);
+        label.textContent = ' Copy failed ';
+    }
+
+    setTimeout(() => {
+        label.textContent = originalText;
+    }, 2000);
+}
+
 // Load image data when page loads and add event listeners
 document.addEventListener('DOMContentLoaded', function() {
     // Add event listeners for buttons
     document.getElementById('downloadBtn').addEventListener('click', downloadImage);
     document.getElementById('websiteBtn').addEventListener('click', goToWebsite);
+    document.getElementById('attributionBtn').addEventListener('click', copyAttribution);
     
     // Load image data
     loadImageData();